@@ -0,0 +1,155 @@
+/**
+ * Compliance audit trail for send-time signature decisions.
+ *
+ * Every OnMessageSend decision produces one record. Records are queued in local storage before the send is allowed
+ * or blocked, so they survive the event runtime being torn down, and are posted in batches to the audit endpoint
+ * (the `auditEndpoint` setting, or `audit.endpoint` in the configuration). Batches that cannot be delivered stay
+ * queued and are retried with exponential backoff, on the next runtime start and when the browser comes back online.
+ */
+
+import { AppConfig } from "./config";
+import { createCorrelationId, Logger } from "./logger";
+import { SignatureStorage } from "./storage";
+
+/**
+ * Queue of compliance audit records and their delivery to the audit endpoint.
+ */
+export const ComplianceAudit = {
+  storageKey: "complianceAuditQueue",
+  endpointKey: "auditEndpoint",
+  /** Most records kept while the endpoint is unreachable; the oldest are dropped first. */
+  maxQueued: 500,
+  batchSize: 25,
+  retryBaseMs: 30 * 1000,
+  retryMaxMs: 30 * 60 * 1000,
+  retryAttempt: 0,
+  retryTimer: null,
+  sending: null,
+
+  /**
+   * Starts delivering records queued by earlier sessions and retries when the browser comes back online.
+   */
+  init() {
+    if (typeof window !== "undefined" && window.addEventListener) {
+      window.addEventListener("online", () => this.flush());
+    }
+    this.flush();
+  },
+
+  /**
+   * Gets the configured audit endpoint.
+   * @returns {string|null} The endpoint URL, or null if auditing is only kept locally.
+   */
+  endpoint() {
+    return SignatureStorage.get(this.endpointKey) || AppConfig.get("audit.endpoint") || null;
+  },
+
+  /**
+   * Reads the queued records.
+   * @returns {Array<object>} The records, oldest first.
+   */
+  queued() {
+    try {
+      const queue = JSON.parse(SignatureStorage.get(this.storageKey) || "[]");
+      return Array.isArray(queue) ? queue : [];
+    } catch (error) {
+      Logger.error({ event: "ComplianceAudit.queued", error: error.message });
+      return [];
+    }
+  },
+
+  /**
+   * Replaces the queued records, keeping at most `maxQueued`.
+   * @param {Array<object>} queue - The records, oldest first.
+   * @returns {Promise<void>} Resolves when the queue has been persisted.
+   */
+  async save(queue) {
+    const dropped = Math.max(0, queue.length - this.maxQueued);
+    if (dropped) Logger.warn({ event: "ComplianceAudit.save", status: "Queue full, dropping oldest", dropped });
+    try {
+      await SignatureStorage.set(this.storageKey, JSON.stringify(queue.slice(dropped)));
+    } catch (error) {
+      Logger.error({ event: "ComplianceAudit.save", error: error.message, count: queue.length - dropped });
+    }
+  },
+
+  /**
+   * Queues a record and starts delivering it.
+   * @param {object} record - The audit record.
+   * @returns {Promise<object>} The queued record, with its id.
+   */
+  async record(record) {
+    const queued = { id: createCorrelationId(), ...record };
+    await this.save([...this.queued(), queued]);
+    Logger.info({
+      event: "ComplianceAudit.record",
+      id: queued.id,
+      outcome: queued.outcome,
+      reason: queued.reason,
+      signatureKey: queued.signatureKey,
+    });
+    this.flush();
+    return queued;
+  },
+
+  /**
+   * Posts the queued records to the audit endpoint in batches. Delivered records are removed from the queue; on
+   * failure the rest stay queued and a retry is scheduled.
+   * @returns {Promise<void>} Resolves when the queue was delivered or a retry was scheduled.
+   */
+  flush() {
+    if (this.sending) return this.sending;
+    const endpoint = this.endpoint();
+    if (!endpoint || !this.queued().length) return Promise.resolve();
+
+    clearTimeout(this.retryTimer);
+    this.retryTimer = null;
+    this.sending = (async () => {
+      try {
+        // Tracked separately so a queue that cannot be rewritten is not delivered again in the same flush.
+        const delivered = new Set();
+        const pending = () => this.queued().filter((record) => !delivered.has(record.id));
+        let batch;
+        while ((batch = pending().slice(0, this.batchSize)).length) {
+          await this.send(endpoint, batch);
+          batch.forEach((record) => delivered.add(record.id));
+          await this.save(pending());
+          Logger.info({ event: "ComplianceAudit.flush", status: "Delivered", count: batch.length });
+        }
+        this.retryAttempt = 0;
+      } catch (error) {
+        Logger.warn({ event: "ComplianceAudit.flush", error: error.message, queued: this.queued().length });
+        this.scheduleRetry();
+      } finally {
+        this.sending = null;
+      }
+    })();
+    return this.sending;
+  },
+
+  /**
+   * Posts one batch of records.
+   * @param {string} endpoint - The audit endpoint URL.
+   * @param {Array<object>} records - The records; the endpoint can use their ids to ignore redelivered records.
+   * @returns {Promise<void>} Resolves when the endpoint accepted the batch.
+   */
+  async send(endpoint, records) {
+    const response = await fetch(endpoint, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ records }),
+      keepalive: true,
+    });
+    if (!response.ok) throw new Error(`Audit endpoint responded with ${response.status}`);
+  },
+
+  /**
+   * Schedules the next delivery attempt with exponential backoff.
+   */
+  scheduleRetry() {
+    const delay = Math.min(this.retryBaseMs * 2 ** this.retryAttempt, this.retryMaxMs);
+    this.retryAttempt += 1;
+    this.retryTimer = setTimeout(() => this.flush(), delay);
+    Logger.info({ event: "ComplianceAudit.scheduleRetry", delay, attempt: this.retryAttempt });
+  },
+};
@@ -1,87 +1,1319 @@
+import { ComplianceAudit } from "./audit";
+import { AppConfig } from "./config";
+import { buildFallbackTemplate } from "./fallbackTemplates";
+import { I18n } from "./i18n";
+import { createCorrelationId, Logger } from "./logger";
+import { byteLength, SignatureStorage } from "./storage";
+
+/**
+ * Catalog of available signatures, loaded from the Ribbons API and keyed by a stable signature key.
+ */
+export const SignatureRegistry = {
+  storageKey: "signatureCatalog",
+  entries: null,
+  isFallback: false,
+
+  /**
+   * Loads the catalog from the Ribbons API, falling back to the last persisted catalog and then the bundled one.
+   * @param {boolean} forceRefresh - Whether to bypass the in-memory catalog.
+   * @returns {Promise<Map<string, object>>} The catalog entries keyed by signature key.
+   */
+  async load(forceRefresh = false) {
+    if (this.entries && !forceRefresh) return this.entries;
+
+    try {
+      const response = await fetchWithTimeout(AppConfig.get("api.baseUrl") + AppConfig.get("api.ribbonsPath"));
+      if (!response.ok) throw new Error(`Ribbons API responded with ${response.status}`);
+      const data = await response.json();
+      if (!Array.isArray(data?.result)) throw new Error("Ribbons API returned no signature list");
+
+      const entries = this.buildEntries(data.result);
+      this.invalidateChangedTemplates(entries);
+      this.entries = entries;
+      this.isFallback = false;
+      SignatureStorage.set(this.storageKey, JSON.stringify([...entries.values()]));
+      Logger.info({ event: "SignatureRegistry.load", status: "Loaded from API", keys: this.keys() });
+    } catch (error) {
+      const persisted = this.readPersisted();
+      if (persisted) {
+        this.entries = persisted;
+        this.isFallback = false;
+        Logger.warn({ event: "SignatureRegistry.load", status: "Using persisted catalog", error: error.message });
+      } else {
+        this.entries = new Map(AppConfig.get("catalog.fallback").map((entry) => [entry.key, { ...entry, url: null }]));
+        this.isFallback = true;
+        Logger.warn({
+          event: "SignatureRegistry.load",
+          status: "Using bundled fallback catalog",
+          error: error.message,
+        });
+      }
+    }
+    return this.entries;
+  },
+
+  /**
+   * Builds catalog entries from the Ribbons API result, skipping entries without a stable key.
+   * @param {Array<object>} ribbons - The Ribbons API result.
+   * @returns {Map<string, object>} The catalog entries keyed by signature key.
+   */
+  buildEntries(ribbons) {
+    const entries = new Map();
+    for (const ribbon of ribbons) {
+      const key = this.toKey(ribbon);
+      if (!key || !ribbon?.url) {
+        Logger.error({ event: "SignatureRegistry.buildEntries", error: "Entry has no stable key or url", ribbon });
+        continue;
+      }
+      if (entries.has(key)) {
+        Logger.error({ event: "SignatureRegistry.buildEntries", error: "Duplicate signature key", key });
+        continue;
+      }
+      entries.set(key, { key, name: ribbon.name || ribbon.title || key, url: ribbon.url });
+    }
+    return entries;
+  },
+
+  /**
+   * Derives the stable signature key for a Ribbons API entry (e.g., "M2" -> "m2Signature").
+   * @param {object} ribbon - The Ribbons API entry.
+   * @returns {string|null} The signature key or null.
+   */
+  toKey(ribbon) {
+    const explicitKey = ribbon?.signatureKey || ribbon?.key;
+    if (typeof explicitKey === "string" && explicitKey.trim()) return explicitKey.trim();
+
+    const name = ribbon?.name || ribbon?.title;
+    if (typeof name !== "string" || !name.trim()) return null;
+    const words = name
+      .trim()
+      .split(/[^A-Za-z0-9]+/)
+      .filter(Boolean);
+    const camelCase = words
+      .map((word, index) => (index === 0 ? word.toLowerCase() : word[0].toUpperCase() + word.slice(1).toLowerCase()))
+      .join("");
+    return camelCase.endsWith("Signature") ? camelCase : `${camelCase}Signature`;
+  },
+
+  /**
+   * Reads the last persisted catalog from signature storage.
+   * @returns {Map<string, object>|null} The persisted entries or null.
+   */
+  readPersisted() {
+    try {
+      const stored = JSON.parse(SignatureStorage.get(this.storageKey));
+      if (!Array.isArray(stored) || stored.length === 0) return null;
+      return new Map(stored.map((entry) => [entry.key, entry]));
+    } catch (error) {
+      Logger.error({ event: "SignatureRegistry.readPersisted", error: error.message });
+      return null;
+    }
+  },
+
+  /**
+   * Drops cached signatures whose catalog entry was removed or now points to a different template.
+   * @param {Map<string, object>} entries - The freshly loaded catalog entries.
+   */
+  invalidateChangedTemplates(entries) {
+    const previous = (!this.isFallback && this.entries) || this.readPersisted();
+    if (!previous) return;
+    for (const [key, entry] of previous) {
+      if (entries.get(key)?.url !== entry.url) {
+        SignatureCache.remove(key);
+        Logger.info({ event: "SignatureRegistry.invalidateChangedTemplates", status: "Cache cleared", key });
+      }
+    }
+  },
+
+  /**
+   * Looks up a catalog entry.
+   * @param {string} signatureKey - The signature key.
+   * @returns {object} The catalog entry.
+   * @throws {Error} If the catalog is not loaded or has no entry for the key.
+   */
+  get(signatureKey) {
+    if (!this.entries) throw new Error("Signature catalog has not been loaded.");
+    const entry = this.entries.get(signatureKey);
+    if (!entry) throw new Error(`Signature "${signatureKey}" is not in the signature catalog.`);
+    return entry;
+  },
+
+  /**
+   * Checks whether the loaded catalog contains a signature key.
+   * @param {string} signatureKey - The signature key.
+   * @returns {boolean} True if the key is in the catalog.
+   */
+  has(signatureKey) {
+    return Boolean(this.entries?.has(signatureKey));
+  },
+
+  /**
+   * Gets the name users know a signature by (e.g., "M2" for "m2Signature"), for notifications.
+   * @param {string} signatureKey - The signature key.
+   * @returns {string} The catalog name, else the name in the fallback catalog, else the key itself.
+   */
+  nameOf(signatureKey) {
+    if (this.has(signatureKey)) return this.get(signatureKey).name;
+    const bundledEntry = AppConfig.get("catalog.fallback").find((entry) => entry.key === signatureKey);
+    return bundledEntry?.name || signatureKey;
+  },
+
+  /**
+   * Lists the signature keys in the loaded catalog.
+   * @returns {string[]} The signature keys.
+   */
+  keys() {
+    return this.entries ? [...this.entries.keys()] : [];
+  },
+};
+
+/**
+ * Versioned cache of signature templates in signature storage (`signatureTemplate_<key>`).
+ */
+export const SignatureCache = {
+  /**
+   * Reads a cached template entry.
+   * @param {string} signatureKey - The signature key.
+   * @returns {{template: string, version: string|null, etag: string|null, fetchedAt: number}|null} The entry or null.
+   */
+  read(signatureKey) {
+    const stored = SignatureStorage.get(`signatureTemplate_${signatureKey}`);
+    if (!stored) return null;
+    try {
+      const entry = JSON.parse(stored);
+      return typeof entry?.template === "string" ? entry : null;
+    } catch (error) {
+      Logger.error({ event: "SignatureCache.read", error: error.message, signatureKey });
+      return null;
+    }
+  },
+
+  /**
+   * Writes a cached template entry.
+   * @param {string} signatureKey - The signature key.
+   * @param {{template: string, version: string|null, etag: string|null, fetchedAt: number}} entry - The entry.
+   */
+  write(signatureKey, entry) {
+    SignatureStorage.set(`signatureTemplate_${signatureKey}`, JSON.stringify(entry));
+    Logger.info({ event: "SignatureCache.write", signatureKey, version: entry.version, etag: entry.etag });
+  },
+
+  /**
+   * Removes a cached template and the last rendered signature for a key.
+   * @param {string} signatureKey - The signature key.
+   */
+  remove(signatureKey) {
+    SignatureStorage.remove(`signatureTemplate_${signatureKey}`);
+    TemplateRenderer.variants.forEach((variant) => SignatureStorage.remove(this.renderedKey(signatureKey, variant)));
+  },
+
+  /**
+   * Gets the storage key of the last rendered signature for a key and variant.
+   * @param {string} signatureKey - The signature key.
+   * @param {string} variant - The variant ("full" or "compact").
+   * @returns {string} The storage key (`signature_<key>` or `signature_<key>_compact`).
+   */
+  renderedKey(signatureKey, variant = "full") {
+    return variant === "compact" ? `signature_${signatureKey}_compact` : `signature_${signatureKey}`;
+  },
+
+  /**
+   * Checks whether a cached entry is within the TTL (`cache.ttlMs` in the configuration). Fresh entries are applied
+   * without contacting the API; older ones are fetched again (or revalidated with their ETag) before applying.
+   * @param {object} entry - The cached entry.
+   * @returns {boolean} True if the entry can be applied without contacting the API.
+   */
+  isFresh(entry) {
+    return Boolean(entry) && Date.now() - entry.fetchedAt < AppConfig.get("cache.ttlMs");
+  },
+
+  /**
+   * Fetches the latest template for a key and updates the cache.
+   * @param {string} signatureKey - The signature key.
+   * @returns {Promise<object>} The updated cache entry.
+   */
+  refresh(signatureKey) {
+    return new Promise((resolve, reject) =>
+      fetchSignature(signatureKey, (template, error) => (error ? reject(error) : resolve(this.read(signatureKey))))
+    );
+  },
+
+  /**
+   * Reloads the catalog and refreshes every template in it.
+   * @returns {Promise<{refreshed: string[], failed: string[]}>} The keys that were and were not refreshed.
+   */
+  async refreshAll() {
+    await SignatureRegistry.load(true);
+    const keys = SignatureRegistry.keys();
+    const results = await Promise.allSettled(keys.map((key) => this.refresh(key)));
+    const refreshed = keys.filter((key, index) => results[index].status === "fulfilled");
+    const failed = keys.filter((key, index) => results[index].status === "rejected");
+    Logger.info({ event: "SignatureCache.refreshAll", refreshed, failed });
+    return { refreshed, failed };
+  },
+};
+
+/**
+ * Renders signature templates with named placeholders and conditional blocks.
+ *
+ * Placeholders are written as `{Field name}`. Sections wrapped in `{#Field name}...{/Field name}` are only kept
+ * when the field has a value, and sections wrapped in `{^Field name}...{/Field name}` only when it is empty.
+ */
+export const TemplateRenderer = {
+  /** Maps normalized placeholder names to user detail fields. */
+  fields: {
+    firstname: "firstName",
+    lastname: "lastName",
+    displayname: "displayName",
+    name: "displayName",
+    email: "email",
+    title: "title",
+    jobtitle: "title",
+    department: "department",
+    phone: "phone",
+    mobile: "mobile",
+    office: "officeAddress",
+    officeaddress: "officeAddress",
+    address: "officeAddress",
+    pronouns: "pronouns",
+  },
+
+  /** Section names that select a variant: `{#Full}...{/Full}` and `{#Compact}...{/Compact}`. */
+  variants: ["full", "compact"],
+
+  /**
+   * Renders a template with the given user details.
+   * Templates without variant sections are reduced to the compact variant by compact().
+   * @param {string} template - The signature template HTML.
+   * @param {object} details - The user details (see getUserDetails).
+   * @param {string} variant - The variant to render ("full" or "compact").
+   * @returns {{html: string, unresolved: string[], empty: string[]}} The rendered HTML, the placeholders that
+   *   are not recognized, and the recognized placeholders that rendered empty outside a conditional block.
+   */
+  render(template, details, variant = "full") {
+    const unresolved = new Set();
+    const empty = new Set();
+    let hasVariantSections = false;
+    const valueOf = (name) => {
+      const normalizedName = this.normalizeName(name);
+      if (this.variants.includes(normalizedName)) {
+        hasVariantSections = true;
+        return normalizedName === variant ? variant : "";
+      }
+      const field = this.fields[normalizedName];
+      if (!field) {
+        unresolved.add(name);
+        return null;
+      }
+      return details?.[field] == null ? "" : String(details[field]).trim();
+    };
+
+    let html = template || "";
+    const blockRegex = /\{([#^])([A-Za-z][\w -]*?)\}([\s\S]*?)\{\/\2\}/g;
+    let previous;
+    do {
+      previous = html;
+      html = html.replace(blockRegex, (match, type, name, content) => {
+        const value = valueOf(name);
+        if (value === null) return match;
+        return (type === "#") === Boolean(value) ? content : "";
+      });
+    } while (html !== previous);
+
+    html = html.replace(/\{([A-Za-z][\w -]*?)\}/g, (match, name) => {
+      const value = valueOf(name);
+      if (value === null) return match;
+      if (!value) empty.add(name);
+      return this.escapeHtml(value);
+    });
+
+    if (variant === "compact" && !hasVariantSections) html = this.compact(html);
+    return { html: html.trim(), unresolved: [...unresolved], empty: [...empty] };
+  },
+
+  /**
+   * Derives the compact variant of a rendered signature: images (logo, banner) and long text blocks (disclaimer)
+   * are removed, leaving name, title and contact lines.
+   * @param {string} html - The rendered full signature HTML.
+   * @returns {string} The compact signature HTML.
+   */
+  compact(html) {
+    const doc = SignatureManager.parseBody(html);
+    doc.body.querySelectorAll("img").forEach((image) => image.remove());
+    [...doc.body.querySelectorAll("p, td, div, span")]
+      .filter((element) => !element.querySelector("p, td, div, table"))
+      .filter((element) => element.textContent.replace(/\s+/g, " ").trim().length >= 80)
+      .forEach((element) => element.remove());
+    [...doc.body.querySelectorAll("tr")]
+      .filter((row) => !row.textContent.trim() && !row.querySelector("img"))
+      .forEach((row) => row.remove());
+    return doc.body.innerHTML;
+  },
+
+  /**
+   * Normalizes a placeholder name (e.g., "E-mail" -> "email", "First name" -> "firstname").
+   * @param {string} name - The placeholder name.
+   * @returns {string} The normalized name.
+   */
+  normalizeName(name) {
+    return name.toLowerCase().replace(/[^a-z0-9]/g, "");
+  },
+
+  /**
+   * Escapes a value for insertion into HTML.
+   * @param {string} value - The raw value.
+   * @returns {string} The escaped value.
+   */
+  escapeHtml(value) {
+    return value
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;")
+      .replace(/'/g, "&#39;");
+  },
+};
+
+/**
+ * Classifies a message's To/Cc/Bcc recipients as internal or external to the tenant.
+ *
+ * Tenant domains are read from signature storage (`tenantDomains`, a JSON array such as `["m3wind.com"]`), then from
+ * the `tenantDomains` configuration; when neither has any, the domain of the signed-in mailbox is used. Subdomains of a
+ * tenant domain count as internal.
+ */
+export const RecipientClassifier = {
+  storageKey: "tenantDomains",
+
+  /**
+   * Gets the domains that belong to the tenant.
+   * @returns {string[]} The lower-case tenant domains.
+   */
+  tenantDomains() {
+    try {
+      const configured = JSON.parse(SignatureStorage.get(this.storageKey));
+      if (Array.isArray(configured) && configured.length) {
+        return configured.map((domain) => String(domain).trim().toLowerCase()).filter(Boolean);
+      }
+    } catch (error) {
+      Logger.error({ event: "RecipientClassifier.tenantDomains", error: error.message });
+    }
+    const configuredDomains = AppConfig.get("tenantDomains");
+    if (configuredDomains.length) return configuredDomains;
+    const ownDomain = (Office.context.mailbox.userProfile.emailAddress || "").split("@")[1];
+    return ownDomain ? [ownDomain.toLowerCase()] : [];
+  },
+
+  /**
+   * Checks whether an address belongs to one of the tenant domains.
+   * @param {string} address - The e-mail address.
+   * @param {string[]} tenantDomains - The tenant domains.
+   * @returns {boolean} True if the address is internal.
+   */
+  isInternal(address, tenantDomains = this.tenantDomains()) {
+    const domain = (address.split("@")[1] || "").toLowerCase();
+    return tenantDomains.some((tenantDomain) => domain === tenantDomain || domain.endsWith(`.${tenantDomain}`));
+  },
+
+  /**
+   * Classifies the recipients of a message.
+   * @param {Office.MessageCompose} item - The email item.
+   * @returns {Promise<{audience: string, recipients: string[], internal: string[], external: string[]}>} The
+   *   audience ("internal", "external" or "none" when there are no recipients) and the recipients by class.
+   */
+  async classify(item) {
+    const fields = ["to", "cc", "bcc", "requiredAttendees", "optionalAttendees"].filter((field) => item[field]);
+    const values = await Promise.all(
+      fields.map(
+        (field) =>
+          new Promise((resolve) =>
+            item[field].getAsync((result) => {
+              if (result.status !== Office.AsyncResultStatus.Succeeded) {
+                Logger.error({ event: "RecipientClassifier.classify", field, error: result.error.message });
+                resolve([]);
+                return;
+              }
+              resolve(result.value);
+            })
+          )
+      )
+    );
+
+    // Recipients still being resolved (e.g., a display name typed without an address) have no emailAddress yet.
+    const recipients = [
+      ...new Set(
+        values
+          .flat()
+          .map((recipient) => (recipient?.emailAddress || "").toLowerCase())
+          .filter(Boolean)
+      ),
+    ];
+    const tenantDomains = this.tenantDomains();
+    const internal = recipients.filter((recipient) => this.isInternal(recipient, tenantDomains));
+    const external = recipients.filter((recipient) => !internal.includes(recipient));
+    const audience = !recipients.length ? "none" : external.length ? "external" : "internal";
+    Logger.info({
+      event: "RecipientClassifier.classify",
+      audience,
+      internalCount: internal.length,
+      externalCount: external.length,
+    });
+    return { audience, recipients, internal, external };
+  },
+};
+
+/**
+ * The identity a message is sent as: the signed-in user, a shared mailbox or the principal of a delegate.
+ *
+ * Per-mailbox overrides are stored as a JSON object in signature storage (`mailboxSignatures`), keyed by lower-case
+ * address, e.g. `{ "sales@m3wind.com": { signatureKey: "m2Signature", template: "<p>{Display name}</p>",
+ * details: { displayName: "M3 Sales", phone: "+44 20 0000 0000" } } }`. All three fields are optional:
+ * `signatureKey` is applied automatically for that mailbox, `template` replaces the catalog template and `details`
+ * supplies the values for the template fields.
+ */
+export const SenderIdentity = {
+  storageKey: "mailboxSignatures",
+
+  /**
+   * Reads the From address of the item (the organizer for appointments), falling back to the signed-in user.
+   * @param {Office.MessageCompose} item - The email item.
+   * @returns {Promise<{emailAddress: string, displayName: string, isOwnMailbox: boolean}>} The sending identity.
+   */
+  async resolve(item) {
+    const profile = Office.context.mailbox.userProfile;
+    const fromField = item?.from || item?.organizer;
+    const from = await new Promise((resolve) => {
+      if (!fromField?.getAsync) {
+        resolve(null);
+        return;
+      }
+      fromField.getAsync((result) => {
+        if (result.status !== Office.AsyncResultStatus.Succeeded) {
+          Logger.error({ event: "SenderIdentity.resolve", error: result.error.message });
+          resolve(null);
+          return;
+        }
+        resolve(result.value);
+      });
+    });
+
+    const emailAddress = (from?.emailAddress || profile.emailAddress || "").toLowerCase();
+    const isOwnMailbox = emailAddress === (profile.emailAddress || "").toLowerCase();
+    const identity = {
+      emailAddress,
+      displayName: (isOwnMailbox ? profile.displayName : from?.displayName || emailAddress) || "",
+      isOwnMailbox,
+    };
+    Logger.info({ event: "SenderIdentity.resolve", emailAddress, isOwnMailbox });
+    return identity;
+  },
+
+  /**
+   * Gets the override configured for a mailbox.
+   * @param {string} emailAddress - The mailbox address.
+   * @returns {{signatureKey?: string, template?: string, details?: object}|null} The override, or null.
+   */
+  override(emailAddress) {
+    try {
+      const overrides = JSON.parse(SignatureStorage.get(this.storageKey)) || {};
+      const override = overrides[(emailAddress || "").toLowerCase()];
+      return override && typeof override === "object" ? override : null;
+    } catch (error) {
+      Logger.error({ event: "SenderIdentity.override", error: error.message });
+      return null;
+    }
+  },
+};
+
+/**
+ * Ordered, configurable rules that choose a signature from the message's recipients, sender and subject.
+ *
+ * Rules are configured for all users in the `signatureRules` configuration; a JSON array in the `signatureRules`
+ * setting of signature storage, when present, replaces them for that user. They are evaluated in order; the first rule
+ * whose conditions all match wins. A rule looks like:
+ * `{ id: "clients", name: "Client domains", signatureKey: "morvenSignature", recipientDomains: ["client.com"],
+ *   audience: "external", senderAddresses: [], subjectKeywords: [] }`.
+ * Conditions that are omitted or empty always match.
+ */
+export const SignatureRules = {
+  storageKey: "signatureRules",
+
+  /**
+   * Loads the rules of the user setting, or else of the configuration, skipping invalid ones.
+   * @returns {Array<object>} The rules in evaluation order.
+   */
+  load() {
+    let rules = AppConfig.get("signatureRules");
+    try {
+      const stored = JSON.parse(SignatureStorage.get(this.storageKey));
+      if (stored !== null) rules = stored;
+    } catch (error) {
+      Logger.error({ event: "SignatureRules.load", error: error.message });
+    }
+    if (!Array.isArray(rules)) return [];
+    return rules.filter((rule) => {
+      const isValid =
+        typeof rule?.signatureKey === "string" &&
+        (!rule.audience || ["internal", "external"].includes(rule.audience)) &&
+        ["recipientDomains", "senderAddresses", "subjectKeywords"].every(
+          (condition) => rule[condition] === undefined || Array.isArray(rule[condition])
+        );
+      if (!isValid) Logger.error({ event: "SignatureRules.load", error: "Invalid rule", rule });
+      return isValid;
+    });
+  },
+
+  /**
+   * Collects the message properties rules are matched against.
+   * @param {Office.MessageCompose} item - The email item.
+   * @returns {Promise<{recipients: string[], senderAddress: string, subject: string, audience: string}>} The rule
+   *   context.
+   */
+  async buildContext(item) {
+    const [{ recipients, audience }, subject, identity] = await Promise.all([
+      RecipientClassifier.classify(item),
+      new Promise((resolve) =>
+        item.subject.getAsync((result) =>
+          resolve(result.status === Office.AsyncResultStatus.Succeeded ? result.value : "")
+        )
+      ),
+      SenderIdentity.resolve(item),
+    ]);
+    return { recipients, senderAddress: identity.emailAddress, subject: subject || "", audience };
+  },
+
+  /**
+   * Checks whether a rule matches the message.
+   * @param {object} rule - The rule.
+   * @param {object} context - The rule context from buildContext.
+   * @returns {boolean} True if every condition of the rule matches.
+   */
+  matches(rule, context) {
+    const lowerCase = (values) => (values || []).map((value) => String(value).toLowerCase());
+    const ruleDomains = lowerCase(rule.recipientDomains);
+    const senderAddresses = lowerCase(rule.senderAddresses);
+    const subjectKeywords = lowerCase(rule.subjectKeywords);
+    const subject = context.subject.toLowerCase();
+
+    const domainMatches =
+      !ruleDomains.length ||
+      context.recipients.some((recipient) => {
+        const domain = recipient.split("@")[1] || "";
+        return ruleDomains.some((ruleDomain) => domain === ruleDomain || domain.endsWith(`.${ruleDomain}`));
+      });
+    const audienceMatches = !rule.audience || rule.audience === context.audience;
+    const senderMatches = !senderAddresses.length || senderAddresses.includes(context.senderAddress);
+    const subjectMatches = !subjectKeywords.length || subjectKeywords.some((keyword) => subject.includes(keyword));
+    return domainMatches && audienceMatches && senderMatches && subjectMatches;
+  },
+
+  /**
+   * Finds the first rule that matches the message and names a signature in the catalog.
+   * @param {Office.MessageCompose} item - The email item.
+   * @returns {Promise<{rule: object, signatureKey: string}|null>} The matching rule, or null.
+   */
+  async evaluate(item) {
+    const rules = this.load();
+    if (!rules.length) return null;
+
+    const context = await this.buildContext(item);
+    await SignatureRegistry.load();
+    for (const rule of rules) {
+      if (!this.matches(rule, context)) continue;
+      if (!SignatureRegistry.has(rule.signatureKey)) {
+        Logger.warn({ event: "SignatureRules.evaluate", status: "Rule signature is not in the catalog", rule });
+        continue;
+      }
+      Logger.info({
+        event: "SignatureRules.evaluate",
+        status: "Rule matched",
+        ruleId: rule.id,
+        signatureKey: rule.signatureKey,
+        audience: context.audience,
+      });
+      return { rule, signatureKey: rule.signatureKey };
+    }
+    Logger.info({ event: "SignatureRules.evaluate", status: "No rule matched", audience: context.audience });
+    return null;
+  },
+};
+
+/**
+ * Maps conversations to the signature used in them, so replies and forwards keep the thread's signature.
+ * Meeting series are tracked the same way, under the `series:<seriesId>` id from SignatureManager.resolveThreadId.
+ *
+ * Mappings are kept as one JSON array in signature storage (`signatureThreads`), newest first, capped at
+ * `maxEntries` and `maxBytes` and pruned after `maxAgeMs`. The byte cap keeps the array well inside the roaming
+ * settings limit shared with the other user settings. Lookups go through in-memory indexes by conversationId and by
+ * normalized subject plus recipient, rebuilt only when the stored value changes.
+ */
+export const ThreadMappingStore = {
+  storageKey: "signatureThreads",
+  legacyPrefix: "signatureData_",
+  maxEntries: 100,
+  /** Largest serialized size of the mappings; roaming settings hold 32 KB in total. */
+  maxBytes: 16 * 1024,
+  maxAgeMs: 90 * 24 * 60 * 60 * 1000,
+  raw: undefined,
+  /** Legacy keys already folded into the entries, removed once the entries have been persisted. */
+  foldedLegacyKeys: new Set(),
+  entries: [],
+  byConversation: new Map(),
+  bySubjectRecipient: new Map(),
+
+  /**
+   * Builds the index key for a subject and recipient.
+   * @param {string} subject - The normalized subject.
+   * @param {string} recipient - The lower-case recipient address.
+   * @returns {string} The index key.
+   */
+  subjectRecipientKey(subject, recipient) {
+    return `${subject}\n${recipient}`;
+  },
+
+  /**
+   * Loads the stored mappings and rebuilds the indexes if the stored value changed.
+   * Entries written by earlier versions as `signatureData_<timestamp>` keys are folded in and removed.
+   * @returns {Array<object>} The entries, newest first.
+   */
+  load() {
+    const raw = SignatureStorage.get(this.storageKey);
+    const legacyKeys = SignatureStorage.keys().filter(
+      (key) => key.startsWith(this.legacyPrefix) && !this.foldedLegacyKeys.has(key)
+    );
+    if (raw === this.raw && !legacyKeys.length) return this.entries;
+
+    let entries = [];
+    try {
+      entries = JSON.parse(raw) || [];
+    } catch (error) {
+      Logger.error({ event: "ThreadMappingStore.load", error: error.message });
+    }
+    if (!Array.isArray(entries)) entries = [];
+
+    if (legacyKeys.length) {
+      for (const key of legacyKeys) {
+        try {
+          entries.push(this.toEntry(JSON.parse(SignatureStorage.get(key))));
+        } catch (error) {
+          Logger.error({ event: "ThreadMappingStore.load", error: error.message, key });
+        }
+      }
+      Logger.info({ event: "ThreadMappingStore.load", status: "Migrated legacy entries", count: legacyKeys.length });
+    }
+
+    this.index(this.prune(entries));
+    this.raw = raw;
+    if (legacyKeys.length) {
+      // Legacy keys are removed only once their entries are stored, so a failed save loses nothing.
+      legacyKeys.forEach((key) => this.foldedLegacyKeys.add(key));
+      this.persist(this.entries).then((persisted) => {
+        if (persisted) legacyKeys.forEach((key) => SignatureStorage.remove(key));
+      });
+    }
+    return this.entries;
+  },
+
+  /**
+   * Normalizes stored or legacy data into an entry.
+   * @param {object} data - The data.
+   * @returns {{conversationId: string|null, recipients: string[], subject: string, signature: string,
+   *   timestamp: string}} The entry.
+   */
+  toEntry(data) {
+    return {
+      conversationId: data.conversationId || null,
+      recipients: (data.recipients || []).map((recipient) => String(recipient).toLowerCase()),
+      subject: SignatureManager.normalizeSubject(data.subject || ""),
+      signature: data.signature,
+      timestamp: data.timestamp || new Date().toISOString(),
+    };
+  },
+
+  /**
+   * Drops entries past the maximum age, keeps the newest `maxEntries`, and drops the oldest of those until they fit
+   * in `maxBytes`.
+   * @param {Array<object>} entries - The entries.
+   * @param {number} limit - The number of entries to keep.
+   * @returns {Array<object>} The remaining entries, newest first.
+   */
+  prune(entries, limit = this.maxEntries) {
+    const cutoff = Date.now() - this.maxAgeMs;
+    const kept = entries
+      .filter((entry) => entry && new Date(entry.timestamp).getTime() >= cutoff)
+      .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))
+      .slice(0, limit);
+    while (kept.length && byteLength(JSON.stringify(kept)) > this.maxBytes) kept.pop();
+    return kept;
+  },
+
+  /**
+   * Replaces the entries and rebuilds the lookup indexes. Entries with signature "none" are kept but not indexed.
+   * @param {Array<object>} entries - The entries, newest first.
+   */
+  index(entries) {
+    this.entries = entries;
+    this.byConversation = new Map();
+    this.bySubjectRecipient = new Map();
+    for (const entry of entries) {
+      if (entry.signature === "none") continue;
+      if (entry.conversationId && !this.byConversation.has(entry.conversationId)) {
+        this.byConversation.set(entry.conversationId, entry);
+      }
+      for (const recipient of entry.recipients) {
+        const key = this.subjectRecipientKey(entry.subject, recipient);
+        if (!this.bySubjectRecipient.has(key)) this.bySubjectRecipient.set(key, entry);
+      }
+    }
+  },
+
+  /**
+   * Finds the signature used in a thread, first by conversationId, then by subject and any shared recipient.
+   * @param {{conversationId: string|null, recipients: string[], subject: string}} thread - The thread to look up.
+   * @returns {{entry: object, method: string}|null} The most recent matching entry and how it was found, or null.
+   */
+  find({ conversationId, recipients, subject }) {
+    this.load();
+    if (conversationId && this.byConversation.has(conversationId)) {
+      return { entry: this.byConversation.get(conversationId), method: "conversationId" };
+    }
+
+    const normalizedSubject = SignatureManager.normalizeSubject(subject || "");
+    const matches = recipients
+      .map((recipient) => this.bySubjectRecipient.get(this.subjectRecipientKey(normalizedSubject, recipient)))
+      .filter(Boolean)
+      .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+    return matches.length ? { entry: matches[0], method: "subjectAndRecipients" } : null;
+  },
+
+  /**
+   * Records the signature used in a thread. An entry with the same conversationId is replaced, except that a "none"
+   * entry never replaces a real signature.
+   * @param {object} data - The thread data (conversationId, recipients, subject, signature).
+   * @returns {Promise<object>} The recorded entry, once it has been persisted or dropped.
+   */
+  async record(data) {
+    const entry = this.toEntry({ ...data, timestamp: new Date().toISOString() });
+    const entries = this.load();
+    const existing = entry.conversationId
+      ? entries.find((candidate) => candidate.conversationId === entry.conversationId)
+      : null;
+    if (existing && entry.signature === "none" && existing.signature !== "none") return existing;
+
+    const persisted = await this.persist(this.prune([entry, ...entries.filter((candidate) => candidate !== existing)]));
+    if (!persisted) return entry;
+    Logger.info({
+      event: "ThreadMappingStore.record",
+      status: existing ? "Updated existing entry" : "Created new entry",
+      conversationId: entry.conversationId,
+      signature: entry.signature,
+      count: this.entries.length,
+    });
+    return entry;
+  },
+
+  /**
+   * Writes entries to storage and makes them the current ones. When the storage quota is exceeded, the oldest half
+   * is dropped and the write is retried until it fits. If the write fails, the current entries are left as they were,
+   * matching what is stored.
+   * @param {Array<object>} entries - The entries to write, newest first.
+   * @returns {Promise<boolean>} True once written, false after giving up.
+   */
+  async persist(entries) {
+    for (;;) {
+      const raw = JSON.stringify(entries);
+      try {
+        await SignatureStorage.set(this.storageKey, raw);
+        this.raw = raw;
+        this.index(entries);
+        return true;
+      } catch (error) {
+        if (!this.isQuotaError(error) || !entries.length) {
+          Logger.error({ event: "ThreadMappingStore.persist", error: error.message, count: entries.length });
+          return false;
+        }
+        Logger.warn({ event: "ThreadMappingStore.persist", status: "Quota exceeded, pruning", count: entries.length });
+        entries = entries.slice(0, Math.floor(entries.length / 2));
+      }
+    }
+  },
+
+  /**
+   * Checks whether an error means the storage quota was exceeded.
+   * @param {Error} error - The error.
+   * @returns {boolean} True for quota errors.
+   */
+  isQuotaError(error) {
+    return (
+      error?.name === "QuotaExceededError" ||
+      error?.name === "NS_ERROR_DOM_QUOTA_REACHED" ||
+      error?.code === 22 ||
+      error?.code === 1014
+    );
+  },
+};
+
+/**
+ * Signature state of a single draft: which signature was applied to it and its rendered HTML.
+ *
+ * Kept with the item itself so that several compose windows never share state. Uses `item.sessionData` where
+ * supported (Mailbox 1.11) and falls back to item custom properties, which also survive reopening a saved draft.
+ * Custom properties are limited in size, so the HTML is dropped there when too large and read back from the
+ * `signature_<key>` cache instead.
+ */
+export const DraftSignatureState = {
+  propertyName: "m3AppliedSignature",
+  correlationPropertyName: "m3CorrelationId",
+  maxCustomPropertyLength: 2000,
+
+  /**
+   * Checks whether the item supports session data.
+   * @param {Office.MessageCompose} item - The email item.
+   * @returns {boolean} True if item.sessionData can be used.
+   */
+  hasSessionData(item) {
+    return Boolean(item.sessionData) && Office.context.requirements.isSetSupported("Mailbox", "1.11");
+  },
+
+  /**
+   * Loads the item's custom properties.
+   * @param {Office.MessageCompose} item - The email item.
+   * @returns {Promise<Office.CustomProperties>} The custom properties.
+   */
+  loadCustomProperties(item) {
+    return new Promise((resolve, reject) =>
+      item.loadCustomPropertiesAsync((result) =>
+        result.status === Office.AsyncResultStatus.Succeeded ? resolve(result.value) : reject(result.error)
+      )
+    );
+  },
+
+  /**
+   * Reads a value stored on the draft.
+   * @param {Office.MessageCompose} item - The email item.
+   * @param {string} name - The property name.
+   * @returns {Promise<string|null>} The value, or null.
+   */
+  async readValue(item, name) {
+    if (this.hasSessionData(item)) {
+      return new Promise((resolve) =>
+        item.sessionData.getAsync(name, (result) =>
+          resolve(result.status === Office.AsyncResultStatus.Succeeded ? result.value : null)
+        )
+      );
+    }
+    return (await this.loadCustomProperties(item)).get(name) || null;
+  },
+
+  /**
+   * Stores a value on the draft.
+   * @param {Office.MessageCompose} item - The email item.
+   * @param {string} name - The property name.
+   * @param {string} value - The value.
+   * @returns {Promise<void>} Resolves once saved.
+   */
+  async writeValue(item, name, value) {
+    if (this.hasSessionData(item)) {
+      await new Promise((resolve, reject) =>
+        item.sessionData.setAsync(name, value, (result) =>
+          result.status === Office.AsyncResultStatus.Succeeded ? resolve() : reject(result.error)
+        )
+      );
+      return;
+    }
+    const properties = await this.loadCustomProperties(item);
+    properties.set(name, value);
+    await new Promise((resolve, reject) =>
+      properties.saveAsync((result) =>
+        result.status === Office.AsyncResultStatus.Succeeded ? resolve() : reject(result.error)
+      )
+    );
+  },
+
+  /**
+   * Reads the signature applied to the draft.
+   * @param {Office.MessageCompose} item - The email item.
+   * @returns {Promise<{signatureKey: string, signature: string|null, variant: string}|null>} The applied signature,
+   *   or null.
+   */
+  async read(item) {
+    try {
+      const raw = await this.readValue(item, this.propertyName);
+      if (!raw) return null;
+
+      const state = JSON.parse(raw);
+      return {
+        signatureKey: state.signatureKey,
+        signature:
+          state.signature || SignatureStorage.get(SignatureCache.renderedKey(state.signatureKey, state.variant)),
+        variant: state.variant || "full",
+      };
+    } catch (error) {
+      Logger.error({ event: "DraftSignatureState.read", error: error.message });
+      return null;
+    }
+  },
+
+  /**
+   * Records the signature applied to the draft.
+   * @param {Office.MessageCompose} item - The email item.
+   * @param {string} signatureKey - The signature key.
+   * @param {string} signature - The rendered signature HTML.
+   * @param {string} variant - The variant ("full" or "compact").
+   * @returns {Promise<void>} Resolves once saved, or after logging a failure.
+   */
+  async write(item, signatureKey, signature, variant = "full") {
+    try {
+      let value = JSON.stringify({ signatureKey, signature, variant });
+      if (!this.hasSessionData(item) && value.length > this.maxCustomPropertyLength) {
+        value = JSON.stringify({ signatureKey, variant });
+      }
+      await this.writeValue(item, this.propertyName, value);
+      Logger.info({ event: "DraftSignatureState.write", signatureKey, variant });
+    } catch (error) {
+      Logger.error({ event: "DraftSignatureState.write", error: error.message, signatureKey });
+    }
+  },
+
+  /**
+   * Gets the correlation id of the draft's compose session, creating it on first use.
+   * @param {Office.MessageCompose} item - The email item.
+   * @returns {Promise<string>} The correlation id.
+   */
+  async correlationId(item) {
+    try {
+      let correlationId = await this.readValue(item, this.correlationPropertyName);
+      if (!correlationId) {
+        correlationId = createCorrelationId();
+        await this.writeValue(item, this.correlationPropertyName, correlationId);
+      }
+      return correlationId;
+    } catch (error) {
+      Logger.error({ event: "DraftSignatureState.correlationId", error: error.message });
+      return createCorrelationId();
+    }
+  },
+};
+
 /**
- * Initializes the Outlook add-in and associates event handlers.
+ * Core signature management module.
  */
-Office.onReady(() => {
-  console.log({ event: "Office.onReady", host: Office.context?.mailbox?.diagnostics?.hostName });
-
-  Office.actions.associate("addSignatureMona", addSignatureMona);
-  Office.actions.associate("addSignatureMorgan", addSignatureMorgan);
-  Office.actions.associate("addSignatureMorven", addSignatureMorven);
-  Office.actions.associate("addSignatureM2", addSignatureM2);
-  Office.actions.associate("addSignatureM3", addSignatureM3);
-  Office.actions.associate("applyDefaultSignature", applyDefaultSignature);
-  Office.actions.associate("cancelAction", cancelAction);
-  Office.actions.associate("validateSignature", validateSignature);
-  Office.actions.associate("onNewMessageComposeHandler", onNewMessageComposeHandler);
-});
+export const SignatureManager = {
+  /** Attribute of the element that wraps signatures inserted by the add-in; its value is the signature key. */
+  wrapperAttribute: "data-m3-signature",
+
+  /** Attribute of the wrapper element holding the signature fingerprint. */
+  fingerprintAttribute: "data-m3-fingerprint",
+
+  /** Attribute of the wrapper element recording how the signature was chosen (e.g., "manual", "rule"). */
+  sourceAttribute: "data-m3-source",
+
+  /** Attribute of the wrapper element recording the variant ("full" or "compact"). */
+  variantAttribute: "data-m3-variant",
+
+  /**
+   * Wraps a signature with the marker comment and wrapper element used to find it again in the body.
+   * @param {string} signature - The signature HTML.
+   * @param {string} signatureKey - The signature key.
+   * @param {string|null} fingerprint - The signature fingerprint (see SignatureFingerprint).
+   * @param {string|null} source - How the signature was chosen (e.g., "manual", "default", "rule").
+   * @param {string|null} variant - The variant ("full" or "compact").
+   * @returns {string} The wrapped signature HTML.
+   */
+  wrapSignature(signature, signatureKey, fingerprint = null, source = null, variant = null) {
+    const sanitize = (value) => (value || "").replace(/[^\w-]/g, "");
+    const stamp = {
+      key: sanitize(signatureKey),
+      fingerprint: sanitize(fingerprint),
+      source: sanitize(source),
+      variant: sanitize(variant),
+    };
+    const comment = Object.entries(stamp)
+      .filter(([, value]) => value)
+      .map(([name, value]) => ` ${name}=${value}`)
+      .join("");
+    let attributes = ` ${this.wrapperAttribute}="${stamp.key}"`;
+    if (stamp.fingerprint) attributes += ` ${this.fingerprintAttribute}="${stamp.fingerprint}"`;
+    if (stamp.source) attributes += ` ${this.sourceAttribute}="${stamp.source}"`;
+    if (stamp.variant) attributes += ` ${this.variantAttribute}="${stamp.variant}"`;
+    return `<!-- signature${comment} --><div${attributes}>${signature.trim()}</div>`;
+  },
+
+  /**
+   * Detects whether the item's body is HTML or plain text.
+   * @param {Office.MessageCompose} item - The email item.
+   * @returns {Promise<string>} "html" or "text"; "html" if the type cannot be read.
+   */
+  getBodyType(item) {
+    return new Promise((resolve) => {
+      if (!item?.body?.getTypeAsync) {
+        resolve("html");
+        return;
+      }
+      item.body.getTypeAsync((result) => {
+        if (result.status !== Office.AsyncResultStatus.Succeeded) {
+          Logger.error({ event: "getBodyType", error: result.error.message });
+          resolve("html");
+          return;
+        }
+        resolve(result.value === Office.CoercionType.Text ? "text" : "html");
+      });
+    });
+  },
+
+  /**
+   * Reads the body in its own format and extracts the current author's signature from it.
+   * @param {Office.MessageCompose} item - The email item.
+   * @returns {Promise<{bodyType: string, details: object|null}>} The body type and the extracted signature details
+   *   (see extractSignatureDetails and PlainTextSignature.extract).
+   */
+  async readSignature(item) {
+    const bodyType = await this.getBodyType(item);
+    const coercionType = bodyType === "text" ? Office.CoercionType.Text : Office.CoercionType.Html;
+    const body = await new Promise((resolve) => item.body.getAsync(coercionType, (result) => resolve(result.value)));
+    const isClassicOutlook = Office.context.mailbox.diagnostics.hostName === "Outlook";
+    const details =
+      bodyType === "text" ? PlainTextSignature.extract(body) : this.extractSignatureDetails(body, isClassicOutlook);
+    return { bodyType, details };
+  },
+
+  /**
+   * Normalizes a signature for comparison in the body's format.
+   * @param {string} signature - The signature.
+   * @param {string} bodyType - The body type from getBodyType.
+   * @param {boolean} isRendered - Whether the signature is rendered HTML (cached or applied) rather than read from
+   *   the body; rendered HTML is converted to its text rendition for plain-text bodies.
+   * @returns {string} The normalized signature.
+   */
+  normalizeForBody(signature, bodyType, isRendered = false) {
+    if (bodyType !== "text") return this.normalizeSignature(signature);
+    return PlainTextSignature.normalize(isRendered ? PlainTextSignature.fromHtml(signature) : signature);
+  },
+
+  /**
+   * Prepares a rendered signature for setSignatureAsync in the body's format: wrapped and stamped HTML, or the
+   * delimited text rendition for plain-text bodies.
+   * @param {string} signature - The rendered signature HTML.
+   * @param {string} bodyType - The body type from getBodyType.
+   * @param {{signatureKey: string, fingerprint: string|null, source: string|null, variant: string|null}} stamp -
+   *   The stamp for HTML signatures.
+   * @returns {{data: string, coercionType: Office.CoercionType}} The signature and its coercion type.
+   */
+  formatForBody(signature, bodyType, { signatureKey, fingerprint = null, source = null, variant = null }) {
+    if (bodyType === "text") {
+      return {
+        data: PlainTextSignature.wrap(PlainTextSignature.fromHtml(signature)),
+        coercionType: Office.CoercionType.Text,
+      };
+    }
+    return {
+      data: this.wrapSignature(signature, signatureKey, fingerprint, source, variant),
+      coercionType: Office.CoercionType.Html,
+    };
+  },
+
+  /**
+   * Reads the stamp from a marker comment (`<!-- signature key=... fingerprint=... source=... variant=... -->`).
+   * @param {string} comment - The comment text.
+   * @returns {{signatureKey: string|null, fingerprint: string|null, source: string|null,
+   *   variant: string|null}|null} The stamp, or null if the comment is not a signature marker.
+   */
+  parseMarker(comment) {
+    const match = comment.match(/^\s*signature((?:\s+[a-z]+=[\w-]*)*)\s*$/);
+    if (!match) return null;
+    const fields = Object.fromEntries(
+      [...match[1].matchAll(/([a-z]+)=([\w-]*)/g)].map(([, name, value]) => [name, value])
+    );
+    return {
+      signatureKey: fields.key || null,
+      fingerprint: fields.fingerprint || null,
+      source: fields.source || null,
+      variant: fields.variant || null,
+    };
+  },
+
+  /**
+   * Selectors for the element where quoted reply/forward history starts.
+   * Outlook on the web and new Outlook use the reply header and reference message containers; classic Outlook uses
+   * Word's reply header border and the `_MailOriginal` bookmark.
+   */
+  quoteBoundarySelectors: [
+    "#appendonsend",
+    "#divRplyFwdMsg",
+    "#mail-editor-reference-message-container",
+    "hr#stopSpelling",
+    "blockquote[type='cite']",
+    ".gmail_quote",
+    "div[style*='border-top:solid #E1E1E1']",
+    "div[style*='border-top:solid #B5C4DF']",
+    "a[name='_MailOriginal']",
+  ],
 
-/**
- * Core signature management module.
- */
-const SignatureManager = {
   /**
-   * Extracts the signature from the email body.
+   * Parses an email body into a DOM document.
    * @param {string} body - The email body HTML.
-   * @returns {string|null} The extracted signature or null.
+   * @returns {Document} The parsed document.
    */
-  extractSignature(body) {
-    console.log({ event: "extractSignature", bodyLength: body?.length });
-    if (!body) return null;
+  parseBody(body) {
+    return new DOMParser().parseFromString(body, "text/html");
+  },
+
+  /**
+   * Reduces a parsed body to the region written by the current author by removing the first quote boundary and
+   * everything after it in document order.
+   * @param {Document} doc - The parsed email body; modified in place.
+   * @returns {boolean} True if quoted content was removed.
+   */
+  isolateAuthorRegion(doc) {
+    const boundary = doc.body?.querySelector(this.quoteBoundarySelectors.join(", "));
+    if (!boundary) return false;
 
-    const marker = "<!-- signature -->";
-    const startIndex = body.indexOf(marker);
-    if (startIndex !== -1) {
-      const endIndex = body.indexOf("</body>", startIndex);
-      const signature = body.slice(startIndex + marker.length, endIndex !== -1 ? endIndex : undefined).trim();
-      console.log({ event: "extractSignature", method: "marker", signature });
-      return signature;
+    for (let node = boundary; node && node !== doc.body; node = node.parentNode) {
+      while (node.nextSibling) node.parentNode.removeChild(node.nextSibling);
     }
+    boundary.remove();
+    return true;
+  },
 
-    const regexes = [
-      /<div\s+class="Signature"[^>]*>([\s\S]*?)$/is,
-      /<div\s+id="Signature"[^>]*>([\s\S]*?)$/is,
-      /<table[^>]*>([\s\S]*?)$/is,
-    ];
-    for (const regex of regexes) {
-      const match = body.match(regex);
-      if (match) {
-        const signature = match[0].trim();
-        console.log({ event: "extractSignature", method: regex.source, signature });
-        return signature;
+  /**
+   * Finds the signature node in a parsed body using, in order: the add-in's wrapper element, the marker comment,
+   * the container Outlook puts around `setSignatureAsync` content and, for classic Outlook, Word's signature bookmark.
+   * @param {Document} doc - The parsed email body.
+   * @param {boolean} isClassicOutlook - Whether the body comes from classic Outlook.
+   * @returns {{node: Element, method: string, signatureKey: string|null, fingerprint: string|null,
+   *   source: string|null, variant: string|null}|null} The signature node, the anchor that found it and the stamp
+   *   embedded at insert time, or null.
+   */
+  findSignatureNode(doc, isClassicOutlook = false) {
+    let marker = null;
+    const walker = doc.createTreeWalker(doc.body || doc.documentElement, NodeFilter.SHOW_COMMENT);
+    while (!marker && walker.nextNode()) {
+      const stamp = this.parseMarker(walker.currentNode.data);
+      if (stamp) marker = { comment: walker.currentNode, ...stamp };
+    }
+
+    const wrapper = doc.querySelector(`[${this.wrapperAttribute}]`);
+    if (wrapper) {
+      return {
+        node: wrapper,
+        method: "wrapper",
+        signatureKey: wrapper.getAttribute(this.wrapperAttribute) || marker?.signatureKey || null,
+        fingerprint: wrapper.getAttribute(this.fingerprintAttribute) || marker?.fingerprint || null,
+        source: wrapper.getAttribute(this.sourceAttribute) || marker?.source || null,
+        variant: wrapper.getAttribute(this.variantAttribute) || marker?.variant || null,
+      };
+    }
+
+    if (marker) {
+      return {
+        node: this.collectFollowing(doc, marker.comment),
+        method: "marker",
+        signatureKey: marker.signatureKey,
+        fingerprint: marker.fingerprint,
+        source: marker.source,
+        variant: marker.variant,
+      };
+    }
+
+    const outlookContainer = doc.querySelector("div#Signature, div.Signature");
+    if (outlookContainer) {
+      return {
+        node: outlookContainer,
+        method: "outlookContainer",
+        signatureKey: null,
+        fingerprint: null,
+        source: null,
+        variant: null,
+      };
+    }
+
+    if (isClassicOutlook) {
+      const bookmark = doc.querySelector('a[name="_MailAutoSig"]');
+      if (bookmark) {
+        let block = bookmark;
+        while (
+          block.parentElement &&
+          block.parentElement !== doc.body &&
+          !block.parentElement.matches(".WordSection1")
+        ) {
+          block = block.parentElement;
+        }
+        return {
+          node: this.collectFollowing(doc, block, true),
+          method: "autoSigBookmark",
+          signatureKey: null,
+          fingerprint: null,
+          source: null,
+          variant: null,
+        };
       }
     }
 
-    console.log({ event: "extractSignature", status: "No signature found" });
     return null;
   },
 
   /**
-   * Extracts the signature for classic Outlook.
+   * Copies the siblings that follow a node into a detached container.
+   * If the node has no following siblings, the siblings following its closest ancestor that has some are used.
+   * @param {Document} doc - The parsed email body.
+   * @param {Node} start - The node to start from.
+   * @param {boolean} includeStart - Whether to include the start node itself.
+   * @returns {Element} The container holding the copied nodes.
+   */
+  collectFollowing(doc, start, includeStart = false) {
+    const container = doc.createElement("div");
+    let node = start;
+    while (!includeStart && !node.nextSibling && node.parentNode && node.parentNode !== doc.body) {
+      node = node.parentNode;
+    }
+    for (let current = includeStart ? node : node.nextSibling; current; current = current.nextSibling) {
+      container.appendChild(current.cloneNode(true));
+    }
+    return container;
+  },
+
+  /**
+   * Extracts the current author's signature from the email body, ignoring signatures in quoted history.
    * @param {string} body - The email body HTML.
+   * @param {boolean} isClassicOutlook - Whether the body comes from classic Outlook.
    * @returns {string|null} The extracted signature or null.
    */
-  extractSignatureForOutlookClassic(body) {
+  extractSignature(body, isClassicOutlook = false) {
+    return this.extractSignatureDetails(body, isClassicOutlook)?.signature || null;
+  },
+
+  /**
+   * Extracts the current author's signature with the key and fingerprint stamped on it at insert time.
+   * @param {string} body - The email body HTML.
+   * @param {boolean} isClassicOutlook - Whether the body comes from classic Outlook.
+   * @returns {{signature: string, signatureKey: string|null, fingerprint: string|null, source: string|null,
+   *   variant: string|null, method: string}|null} The extracted signature details or null.
+   */
+  extractSignatureDetails(body, isClassicOutlook = false) {
+    Logger.info({ event: "extractSignature", bodyLength: body?.length, isClassicOutlook });
     if (!body) return null;
 
-    const marker = "<!-- signature -->";
-    const startIndex = body.indexOf(marker);
-    if (startIndex !== -1) {
-      const endIndex = body.indexOf("</body>", startIndex);
-      const signature = body.slice(startIndex + marker.length, endIndex !== -1 ? endIndex : undefined).trim();
-      console.log({ event: "extractSignatureForOutlookClassic", method: "marker", signature });
-      return signature;
+    const doc = this.parseBody(body);
+    const quotedContentRemoved = this.isolateAuthorRegion(doc);
+    Logger.info({ event: "extractSignature", quotedContentRemoved });
+    const found = this.findSignatureNode(doc, isClassicOutlook);
+    const signature = found?.node.innerHTML.trim();
+    if (!signature) {
+      Logger.info({ event: "extractSignature", status: "No signature found" });
+      return null;
     }
 
-    const regex = /<table\s+class=MsoNormalTable[^>]*>([\s\S]*?)$/is;
-    const match = body.match(regex);
-    if (match) {
-      const signature = match[0].trim();
-      console.log({ event: "extractSignatureForOutlookClassic", method: "table", signature });
-      return signature;
-    }
+    const { method, signatureKey, fingerprint, source, variant } = found;
+    Logger.debug({ event: "extractSignature", method, signatureKey, fingerprint, source, variant, signature });
+    return { signature, signatureKey, fingerprint, source, variant, method };
+  },
 
-    console.log({ event: "extractSignatureForOutlookClassic", status: "No signature found" });
-    return null;
+  /**
+   * Extracts the signature for classic Outlook.
+   * @param {string} body - The email body HTML.
+   * @returns {string|null} The extracted signature or null.
+   */
+  extractSignatureForOutlookClassic(body) {
+    return this.extractSignature(body, true);
   },
 
   /**
@@ -107,7 +1339,7 @@ const SignatureManager = {
       .replace(/\s+(email:)/gi, "$1") // Remove spaces before "email:"
       .trim() // Remove leading/trailing spaces
       .toLowerCase();
-    console.log({ event: "normalizeSignature", raw: sig, normalized });
+    Logger.debug({ event: "normalizeSignature", raw: sig, normalized });
     return normalized;
   },
 
@@ -125,14 +1357,67 @@ const SignatureManager = {
   },
 
   /**
-   * Checks if the email is a reply or forward.
+   * Checks whether the item is an appointment or meeting invite being composed by its organizer.
+   * @param {Office.MessageCompose|Office.AppointmentCompose} item - The item.
+   * @returns {boolean} True for appointments.
+   */
+  isAppointment(item) {
+    return item?.itemType === Office.MailboxEnums.ItemType.Appointment;
+  },
+
+  /**
+   * Gets the id signatures are tracked by: the conversationId for messages, the series id for meetings.
+   * Meetings are keyed as `series:<seriesId>` so every occurrence of a series shares its signature. The series
+   * master has no seriesId while it is organized (see resolveThreadId); single appointments have no thread.
+   * @param {Office.MessageCompose|Office.AppointmentCompose} item - The item.
+   * @returns {string|null} The thread id, or null.
+   */
+  threadIdOf(item) {
+    if (this.isAppointment(item)) {
+      const seriesId = String(item.seriesId || "").trim();
+      return seriesId ? `series:${seriesId}` : null;
+    }
+    return item.conversationId || null;
+  },
+
+  /**
+   * Gets the thread id of an item (see threadIdOf). A series master has an empty seriesId, and its occurrences take
+   * its item id as their seriesId, so once the master has been saved it is tracked under its own item id. Until then
+   * it has no thread id and is tracked by subject and attendees only.
+   * @param {Office.MessageCompose|Office.AppointmentCompose} item - The item.
+   * @returns {Promise<string|null>} The thread id, or null.
+   */
+  async resolveThreadId(item) {
+    const threadId = this.threadIdOf(item);
+    if (threadId || !this.isAppointment(item) || !item.getItemIdAsync) return threadId;
+    const itemId = await new Promise((resolve) =>
+      item.getItemIdAsync((result) =>
+        resolve(result.status === Office.AsyncResultStatus.Succeeded ? result.value : null)
+      )
+    );
+    Logger.info({ event: "resolveThreadId", status: itemId ? "Series master saved" : "Series master not saved yet" });
+    return itemId ? `series:${itemId}` : null;
+  },
+
+  /**
+   * Gets the recipients field used for thread tracking: To for messages, required attendees for meetings.
+   * @param {Office.MessageCompose|Office.AppointmentCompose} item - The item.
+   * @returns {Office.Recipients} The recipients field.
+   */
+  primaryRecipients(item) {
+    return this.isAppointment(item) ? item.requiredAttendees : item.to;
+  },
+
+  /**
+   * Checks if the email is a reply or forward. Appointments never are.
    * @param {Office.MessageCompose} item - The email item.
    * @returns {Promise<boolean>} True if reply or forward.
    */
   async isReplyOrForward(item) {
-    console.log({ event: "checkForReplyOrForward" });
+    Logger.info({ event: "checkForReplyOrForward" });
+    if (this.isAppointment(item)) return false;
     if (item.itemType === Office.MailboxEnums.ItemType.Message && item.conversationId) {
-      console.log({
+      Logger.info({
         event: "checkForReplyOrForward",
         status: "Reply/forward detected",
         conversationId: item.conversationId,
@@ -140,12 +1425,12 @@ const SignatureManager = {
       return true;
     }
     if (item.inReplyTo) {
-      console.log({ event: "checkForReplyOrForward", status: "Reply detected", inReplyTo: item.inReplyTo });
+      Logger.info({ event: "checkForReplyOrForward", status: "Reply detected", inReplyTo: item.inReplyTo });
       return true;
     }
     const subject = await new Promise((resolve) => item.subject.getAsync((result) => resolve(result.value || "")));
     const isReplyOrForward = ["re:", "fw:", "fwd:"].some((prefix) => subject.toLowerCase().includes(prefix));
-    console.log({ event: "checkForReplyOrForward", status: "Subject checked", isReplyOrForward });
+    Logger.info({ event: "checkForReplyOrForward", status: "Subject checked", isReplyOrForward });
     return isReplyOrForward;
   },
 
@@ -154,13 +1439,14 @@ const SignatureManager = {
    * @param {Office.MessageCompose} item - The email item.
    * @param {string} signature - The signature to restore.
    * @param {string} signatureKey - The signature key.
+   * @param {string} variant - The variant of the signature ("full" or "compact").
    * @returns {Promise<boolean>} True if successful.
    */
-  async restoreSignature(item, signature, signatureKey) {
-    console.log({ event: "restoreSignatureAsync", signatureKey, cachedSignatureLength: signature?.length });
+  async restoreSignature(item, signature, signatureKey, variant = "full") {
+    Logger.info({ event: "restoreSignatureAsync", signatureKey, variant, cachedSignatureLength: signature?.length });
     if (!signature) {
-      signature = localStorage.getItem(`signature_${signatureKey}`);
-      console.log({
+      signature = SignatureStorage.get(SignatureCache.renderedKey(signatureKey, variant));
+      Logger.info({
         event: "restoreSignatureAsync",
         status: "Falling back to signatureKey",
         fallbackLength: signature?.length,
@@ -168,44 +1454,513 @@ const SignatureManager = {
       if (!signature) return false;
     }
 
+    const bodyType = await this.getBodyType(item);
+    const fingerprint = await SignatureFingerprint.compute(signature, signatureKey);
+    const { data, coercionType } = this.formatForBody(signature, bodyType, { signatureKey, fingerprint, variant });
     const success = await new Promise((resolve) =>
-      item.body.setSignatureAsync(
-        "<!-- signature -->" + signature.trim(),
-        { coercionType: Office.CoercionType.Html },
-        (asyncResult) => {
-          if (asyncResult.status === Office.AsyncResultStatus.Failed) {
-            console.error({ event: "restoreSignatureAsync", error: asyncResult.error.message, signatureKey });
-            resolve(false);
-          } else {
-            console.log({ event: "restoreSignatureAsync", status: "Signature set", signatureKey });
-            resolve(true);
-          }
+      item.body.setSignatureAsync(data, { coercionType }, (asyncResult) => {
+        if (asyncResult.status === Office.AsyncResultStatus.Failed) {
+          Logger.error({ event: "restoreSignatureAsync", error: asyncResult.error.message, signatureKey });
+          resolve(false);
+        } else {
+          Logger.info({ event: "restoreSignatureAsync", status: "Signature set", signatureKey });
+          resolve(true);
         }
+      })
+    );
+
+    if (!success) return false;
+    if (bodyType === "text") {
+      Logger.info({ event: "restoreSignatureAsync", status: "Plain-text signature set", signatureKey });
+      return true;
+    }
+
+    // Re-reading the body only verifies the restore; the result is that of setSignatureAsync.
+    const body = await new Promise((resolve) =>
+      item.body.getAsync("html", (result) =>
+        resolve(result.status === Office.AsyncResultStatus.Succeeded ? result.value : null)
       )
     );
+    if (!body) {
+      Logger.warn({ event: "restoreSignatureAsync", status: "Could not re-read the body to verify", signatureKey });
+      return true;
+    }
 
-    if (success) {
-      const body = await new Promise((resolve) =>
-        item.body.getAsync("html", (result) =>
-          resolve(result.status === Office.AsyncResultStatus.Succeeded ? result.value : null)
-        )
-      );
-      if (body) {
-        const extracted = this.extractSignature(body);
-        console.log({ event: "restoreSignatureAsync", status: "Body refreshed", extractedSignature: extracted });
-        const normalizedExtracted = this.normalizeSignature(extracted);
-        const normalizedSignature = this.normalizeSignature(signature);
-        console.log({
-          event: "restoreSignatureAsync",
-          normalizedExtracted,
-          normalizedSignature,
-        });
-        return success || (extracted && normalizedExtracted === normalizedSignature);
+    const extracted = this.extractSignature(body);
+    Logger.debug({ event: "restoreSignatureAsync", status: "Body refreshed", extractedSignature: extracted });
+    const normalizedExtracted = this.normalizeSignature(extracted);
+    const normalizedSignature = this.normalizeSignature(signature);
+    Logger.debug({ event: "restoreSignatureAsync", normalizedExtracted, normalizedSignature });
+    if (!extracted || normalizedExtracted !== normalizedSignature) {
+      Logger.warn({ event: "restoreSignatureAsync", status: "Restored signature differs from the body", signatureKey });
+    }
+    return true;
+  },
+};
+
+/**
+ * Plain-text rendition, extraction and comparison of signatures for drafts composed in plain text.
+ *
+ * Signatures are still rendered as HTML and cached as HTML; they are converted to text when inserted into a
+ * plain-text body. Text signatures carry no stamp, so they start with the conventional `-- ` delimiter line, which
+ * is how they are found again on send.
+ */
+export const PlainTextSignature = {
+  /** The signature delimiter line. */
+  delimiter: "-- ",
+
+  /** Elements that start a new line in the text rendition. */
+  blockTags: ["address", "blockquote", "div", "h1", "h2", "h3", "h4", "h5", "h6", "li", "ol", "p", "table", "tr", "ul"],
+
+  /**
+   * Lines where quoted reply/forward history starts in a plain-text body: a separator line, or the From/Sent header
+   * pair as English, German and French Outlook write it (French puts a space, often non-breaking, before the colon).
+   */
+  quoteBoundary: new RegExp(
+    `^(?:${[
+      "_{10,}",
+      "-{2,} ?(?:Original Message|Ursprüngliche Nachricht|Message d'origine) ?-{2,}",
+      "(?:From|Von|De)[ \\u00a0]?: .+\\n(?:Sent|Date|Gesendet|Datum|Envoyé)[ \\u00a0]?: ",
+    ].join("|")})`,
+    "m"
+  ),
+
+  /**
+   * Writes a rendered signature out as text: one line per block or table row, table cells separated by spaces,
+   * and link targets after their text unless the text already shows them.
+   * @param {string} html - The rendered signature HTML.
+   * @returns {string} The text rendition.
+   */
+  fromHtml(html) {
+    const doc = SignatureManager.parseBody(html || "");
+    const lines = [""];
+    const append = (text) => (lines[lines.length - 1] += text);
+    const newLine = () => {
+      if (lines[lines.length - 1].trim()) lines.push("");
+    };
+    const walk = (node) => {
+      if (node.nodeType === Node.TEXT_NODE) {
+        append(node.data.replace(/\s+/g, " "));
+        return;
+      }
+      if (node.nodeType !== Node.ELEMENT_NODE) return;
+      const tag = node.tagName.toLowerCase();
+      if (["img", "script", "style"].includes(tag)) return;
+      if (tag === "br") {
+        lines.push("");
+        return;
+      }
+      const isBlock = this.blockTags.includes(tag);
+      if (isBlock) newLine();
+      if (["td", "th"].includes(tag)) append(" ");
+      node.childNodes.forEach(walk);
+      if (tag === "a") {
+        const href = (node.getAttribute("href") || "").trim();
+        const text = node.textContent.trim();
+        const target = href.replace(/^(?:mailto|tel):/i, "");
+        if (href && !text.includes(target.replace(/^https?:\/\//i, "").replace(/\/$/, ""))) {
+          append(text ? ` <${target}>` : target);
+        }
+      }
+      if (isBlock) newLine();
+    };
+    walk(doc.body);
+
+    return lines
+      .map((line) => line.replace(/[ \t]+/g, " ").trim())
+      .filter((line, index, all) => line || (index > 0 && all[index - 1]))
+      .join("\n")
+      .trim();
+  },
+
+  /**
+   * Prefixes a text signature with the delimiter line.
+   * @param {string} text - The text signature.
+   * @returns {string} The text to insert.
+   */
+  wrap(text) {
+    return `${this.delimiter}\n${text}`;
+  },
+
+  /**
+   * Finds the current author's text signature: everything after the last delimiter line before quoted history.
+   * @param {string} body - The plain-text email body.
+   * @returns {{signature: string, signatureKey: null, fingerprint: null, source: null, variant: null,
+   *   method: string}|null} The extracted signature details, shaped like SignatureManager.extractSignatureDetails,
+   *   or null.
+   */
+  extract(body) {
+    if (!body) return null;
+    const text = body.replace(/\r\n?/g, "\n");
+    const boundary = text.search(this.quoteBoundary);
+    const authorRegion = boundary >= 0 ? text.slice(0, boundary) : text;
+    const delimiters = [...authorRegion.matchAll(/^--[ \t]*$/gm)];
+    if (!delimiters.length) {
+      Logger.info({ event: "PlainTextSignature.extract", status: "No signature delimiter found" });
+      return null;
+    }
+
+    const last = delimiters[delimiters.length - 1];
+    const signature = authorRegion.slice(last.index + last[0].length).trim();
+    Logger.info({ event: "PlainTextSignature.extract", quotedContentRemoved: boundary >= 0, signature });
+    return signature
+      ? { signature, signatureKey: null, fingerprint: null, source: null, variant: null, method: "delimiter" }
+      : null;
+  },
+
+  /**
+   * Normalizes a text signature for comparison.
+   * @param {string} text - The text signature.
+   * @returns {string} The normalized text.
+   */
+  normalize(text) {
+    return (text || "").replace(/\s+/g, " ").trim().toLowerCase();
+  },
+
+  /**
+   * Converts a text signature to simple HTML, so SignatureDiff can compare it field by field.
+   * @param {string} text - The text signature.
+   * @returns {string} One paragraph per line, with URLs as links.
+   */
+  toHtml(text) {
+    return (text || "")
+      .split("\n")
+      .map((line) =>
+        TemplateRenderer.escapeHtml(line).replace(/https?:\/\/[^\s&<>]+/g, (url) => `<a href="${url}">${url}</a>`)
+      )
+      .map((line) => `<p>${line}</p>`)
+      .join("");
+  },
+};
+
+/**
+ * Deterministic fingerprint of a signature's canonical content and key, embedded when the signature is inserted and
+ * recomputed on send to detect modifications.
+ */
+export const SignatureFingerprint = {
+  /**
+   * Builds the canonical form of a signature: its key, normalized visible text, and sorted image and link targets.
+   * @param {string} signature - The signature HTML.
+   * @param {string} signatureKey - The signature key.
+   * @returns {string} The canonical content.
+   */
+  canonicalize(signature, signatureKey) {
+    const doc = SignatureManager.parseBody(signature || "");
+    const images = [...doc.querySelectorAll("img[src]")].map((image) => image.getAttribute("src").split("?")[0]);
+    const links = [...doc.querySelectorAll("a[href]")].map((link) => link.getAttribute("href").trim());
+    return JSON.stringify({
+      key: signatureKey || "",
+      text: SignatureManager.normalizeSignature(signature),
+      images: images.sort(),
+      links: links.sort(),
+    });
+  },
+
+  /**
+   * Computes the SHA-256 fingerprint of a signature.
+   * @param {string} signature - The signature HTML.
+   * @param {string} signatureKey - The signature key.
+   * @returns {Promise<string|null>} The hex fingerprint, or null if Web Crypto is unavailable.
+   */
+  async compute(signature, signatureKey) {
+    return this.hash(this.canonicalize(signature, signatureKey));
+  },
+
+  /**
+   * Computes the SHA-256 hash of a string.
+   * @param {string} text - The text.
+   * @returns {Promise<string|null>} The hex hash, or null if Web Crypto is unavailable.
+   */
+  async hash(text) {
+    if (!globalThis.crypto?.subtle) {
+      Logger.warn({ event: "SignatureFingerprint.hash", status: "Web Crypto unavailable" });
+      return null;
+    }
+    const digest = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(text));
+    return [...new Uint8Array(digest)].map((byte) => byte.toString(16).padStart(2, "0")).join("");
+  },
+};
+
+/**
+ * Field-level comparison between an expected signature and the one found in the email.
+ */
+const SignatureDiff = {
+  /** Message ids of the user-facing names of the compared fields. */
+  labels: {
+    name: "fieldName",
+    title: "fieldTitle",
+    phone: "fieldPhone",
+    links: "fieldLinks",
+    images: "fieldImages",
+    disclaimer: "fieldDisclaimer",
+    text: "fieldText",
+  },
+
+  /**
+   * Gets the user-facing name of a compared field.
+   * @param {string} field - The field (e.g., "phone").
+   * @returns {string} The name in the user's language.
+   */
+  label(field) {
+    return I18n.t(this.labels[field]);
+  },
+
+  /**
+   * Breaks a signature into the parts that are compared.
+   * @param {string} html - The signature HTML.
+   * @returns {{text: string, links: string[], images: string[], phones: string[], disclaimer: string}} The parts.
+   */
+  describe(html) {
+    const doc = SignatureManager.parseBody(html || "");
+    const text = (doc.body.textContent || "").replace(/\s+/g, " ").trim().toLowerCase();
+    const phones = (text.match(/\+?\d[\d\s().-]{5,}\d/g) || []).map((phone) => phone.replace(/[^\d+]/g, ""));
+    const disclaimer = [...doc.body.querySelectorAll("p, td, div, span")]
+      .filter((element) => !element.querySelector("p, td, div, table"))
+      .map((element) => element.textContent.replace(/\s+/g, " ").trim().toLowerCase())
+      .filter((blockText) => blockText.length >= 80)
+      .sort((a, b) => b.length - a.length)[0];
+
+    return {
+      text,
+      links: [...doc.querySelectorAll("a[href]")].map((link) => link.getAttribute("href").trim()),
+      images: [...doc.querySelectorAll("img[src]")].map((image) => image.getAttribute("src").split("?")[0]),
+      phones,
+      disclaimer: disclaimer || "",
+    };
+  },
+
+  /**
+   * Compares the expected signature with the extracted one.
+   * @param {string} expectedHtml - The signature that was applied.
+   * @param {string} actualHtml - The signature found in the email.
+   * @param {object} details - The user details the signature was rendered with.
+   * @returns {Array<{field: string, removed: string[], added: string[]}>} The changed fields.
+   */
+  compare(expectedHtml, actualHtml, details = getUserDetails()) {
+    const expected = this.describe(expectedHtml);
+    const actual = this.describe(actualHtml);
+    const changes = [];
+
+    for (const [field, value] of [
+      ["name", details.displayName],
+      ["title", details.title],
+    ]) {
+      const normalizedValue = (value || "").trim().toLowerCase();
+      if (normalizedValue && expected.text.includes(normalizedValue) && !actual.text.includes(normalizedValue)) {
+        changes.push({ field, removed: [value.trim()], added: [] });
+      }
+    }
+
+    changes.push(...this.compareLists(expected, actual, ["phones", "links", "images"]));
+
+    if (expected.disclaimer && !actual.text.includes(expected.disclaimer)) {
+      changes.push({ field: "disclaimer", removed: [expected.disclaimer], added: [] });
+    }
+
+    if (
+      !changes.length &&
+      SignatureManager.normalizeSignature(expectedHtml) !== SignatureManager.normalizeSignature(actualHtml)
+    ) {
+      changes.push({ field: "text", removed: [], added: [] });
+    }
+    return changes;
+  },
+
+  /**
+   * Compares every image source and link target of the expected signature with those of the extracted one.
+   * @param {string} expectedHtml - The signature that was applied.
+   * @param {string} actualHtml - The signature found in the email.
+   * @returns {Array<{field: string, removed: string[], added: string[]}>} The changed "links" and "images" fields.
+   */
+  compareResources(expectedHtml, actualHtml) {
+    return this.compareLists(this.describe(expectedHtml), this.describe(actualHtml), ["links", "images"]);
+  },
+
+  /**
+   * Compares list parts of two described signatures.
+   * @param {object} expected - The expected signature, as described by describe().
+   * @param {object} actual - The extracted signature, as described by describe().
+   * @param {string[]} fields - The list parts to compare ("phones", "links" or "images").
+   * @returns {Array<{field: string, removed: string[], added: string[]}>} The changed fields.
+   */
+  compareLists(expected, actual, fields) {
+    const difference = (a, b) => [...new Set(a.filter((value) => !b.includes(value)))];
+    const changes = [];
+    for (const field of fields) {
+      const removed = difference(expected[field], actual[field]);
+      const added = difference(actual[field], expected[field]);
+      if (removed.length || added.length) {
+        changes.push({ field: field === "phones" ? "phone" : field, removed, added });
+      }
+    }
+    return changes;
+  },
+
+  /**
+   * Describes a change for display, truncating long values.
+   * @param {{field: string, removed: string[], added: string[]}} change - The change.
+   * @returns {string} The description (e.g., 'Phone: removed "+441234567890"').
+   */
+  describeChange(change) {
+    const quote = (values) => values.map((value) => `"${value.length > 40 ? `${value.slice(0, 40)}…` : value}"`);
+    const parts = [];
+    if (change.removed.length) parts.push(I18n.t("changeRemoved", { values: quote(change.removed).join(", ") }));
+    if (change.added.length) parts.push(I18n.t("changeAdded", { values: quote(change.added).join(", ") }));
+    return `${this.label(change.field)}: ${parts.join("; ") || I18n.t("changeChanged")}`;
+  },
+};
+
+/**
+ * Checks every image and link of a signature against the applied template. Any image source or link target that
+ * differs is a change; among those, phishing-style ones are picked out: links to a host that is neither used by the
+ * template nor allowed, links whose text shows a different web address than they open, links with a scheme that runs
+ * or embeds content (e.g., `javascript:`), and images loaded from a host that is not trusted (e.g., tracking pixels).
+ */
+export const SignatureLinkPolicy = {
+  /** Schemes a changed link may use; mailto: and tel: links have no host to check. */
+  safeSchemes: ["http:", "https:", "mailto:", "tel:"],
+  /** Link text that reads as a web address (e.g., "www.m3wind.com" or "https://m3wind.com/careers"). */
+  addressPattern: /^(?:https?:\/\/)?(?:[a-z0-9-]+\.)+[a-z]{2,}(?:[/?#]\S*)?$/i,
+
+  /**
+   * Parses an absolute URL.
+   * @param {string} url - The URL.
+   * @returns {{scheme: string, host: string}|null} The lower-case scheme and host (without "www."), or null if the
+   *   URL is not absolute.
+   */
+  parse(url) {
+    try {
+      const { protocol, hostname } = new URL(url);
+      return { scheme: protocol.toLowerCase(), host: hostname.toLowerCase().replace(/^www\./, "") };
+    } catch (error) {
+      Logger.debug({ event: "SignatureLinkPolicy.parse", error: error.message });
+      return null;
+    }
+  },
+
+  /**
+   * Gets the hosts links may point to: those of the template's links and images, the `enforcement.allowedHosts`
+   * configuration and the tenant domains. Subdomains of a trusted host are trusted too.
+   * @param {string} expectedHtml - The signature that was applied.
+   * @returns {string[]} The trusted hosts.
+   */
+  trustedHosts(expectedHtml) {
+    const { links, images } = SignatureDiff.describe(expectedHtml);
+    const templateHosts = [...links, ...images].map((url) => this.parse(url)?.host).filter(Boolean);
+    const allowedHosts = AppConfig.get("enforcement.allowedHosts").map((host) => host.replace(/^www\./, ""));
+    return [...new Set([...templateHosts, ...allowedHosts, ...RecipientClassifier.tenantDomains()])];
+  },
+
+  /**
+   * Checks whether a host is one of the trusted hosts or a subdomain of one.
+   * @param {string} host - The host.
+   * @param {string[]} trustedHosts - The trusted hosts.
+   * @returns {boolean} True if the host is trusted.
+   */
+  isTrusted(host, trustedHosts) {
+    return trustedHosts.some((trusted) => host === trusted || host.endsWith(`.${trusted}`));
+  },
+
+  /**
+   * Lists the links of a signature.
+   * @param {string} html - The signature HTML.
+   * @returns {Array<{href: string, text: string}>} The link targets and their visible text.
+   */
+  links(html) {
+    const doc = SignatureManager.parseBody(html || "");
+    return [...doc.querySelectorAll("a[href]")].map((link) => ({
+      href: link.getAttribute("href").trim(),
+      text: link.textContent.replace(/\s+/g, " ").trim(),
+    }));
+  },
+
+  /**
+   * Lists the images of a signature.
+   * @param {string} html - The signature HTML.
+   * @returns {Array<{href: string, text: string}>} The image sources (as `href`) and their alt text.
+   */
+  images(html) {
+    const doc = SignatureManager.parseBody(html || "");
+    return [...doc.querySelectorAll("img[src]")].map((image) => ({
+      href: image.getAttribute("src").trim(),
+      text: (image.getAttribute("alt") || "").trim(),
+    }));
+  },
+
+  /**
+   * Checks the images and links of the signature found in the email against the applied signature.
+   * @param {string|null} expectedHtml - The signature that was applied; without it every image and link is a change.
+   * @param {string} actualHtml - The signature found in the email.
+   * @returns {{changes: Array<{field: string, removed: string[], added: string[]}>, findings: Array<object>}} The
+   *   changed "links" and "images" fields (see SignatureDiff.compareResources) and the suspicious ones (see inspect).
+   */
+  check(expectedHtml, actualHtml) {
+    return {
+      changes: SignatureDiff.compareResources(expectedHtml || "", actualHtml),
+      findings: this.inspect(expectedHtml || "", actualHtml),
+    };
+  },
+
+  /**
+   * Finds the phishing-style links and untrusted images that were added to or changed in the signature.
+   * @param {string} expectedHtml - The signature that was applied.
+   * @param {string} actualHtml - The signature found in the email.
+   * @returns {Array<{href: string, text: string, scheme: string, host: string, reason: string}>} The suspicious
+   *   links and images (with the image source as `href` and its alt text as `text`); `reason` is "unsafeScheme",
+   *   "untrustedHost", "mismatchedText" or "untrustedImageHost".
+   */
+  inspect(expectedHtml, actualHtml) {
+    const expectedLinks = this.links(expectedHtml);
+    const expectedImages = SignatureDiff.describe(expectedHtml).images;
+    const trustedHosts = this.trustedHosts(expectedHtml);
+    const findings = [];
+    for (const link of this.links(actualHtml)) {
+      if (expectedLinks.some(({ href, text }) => href === link.href && text === link.text)) continue;
+      const target = this.parse(link.href);
+      if (!target) continue;
+
+      let reason = null;
+      if (!this.safeSchemes.includes(target.scheme)) {
+        reason = "unsafeScheme";
+      } else if (target.host && !this.isTrusted(target.host, trustedHosts)) {
+        reason = "untrustedHost";
+      } else if (target.host && this.addressPattern.test(link.text)) {
+        const shown = this.parse(/^https?:/i.test(link.text) ? link.text : `https://${link.text}`);
+        const isSameSite = (a, b) => a === b || a.endsWith(`.${b}`) || b.endsWith(`.${a}`);
+        if (shown && !isSameSite(shown.host, target.host)) reason = "mismatchedText";
       }
+      if (reason) findings.push({ ...link, ...target, reason });
     }
+    for (const image of this.images(actualHtml)) {
+      if (expectedImages.includes(image.href.split("?")[0])) continue;
+      const source = this.parse(image.href);
+      if (source?.host && !this.isTrusted(source.host, trustedHosts)) {
+        findings.push({ ...image, ...source, reason: "untrustedImageHost" });
+      }
+    }
+    Logger.info({ event: "SignatureLinkPolicy.inspect", findings });
+    return findings;
+  },
 
-    console.error({ event: "restoreSignatureAsync", error: "Failed to refresh body" });
-    return false;
+  /**
+   * Describes a suspicious link for display, truncating long text.
+   * @param {{href: string, text: string, scheme: string, host: string, reason: string}} finding - The suspicious
+   *   link or image; those without text are shown by their target.
+   * @returns {string} The description (e.g., '"LinkedIn" opens evil.example').
+   */
+  describeFinding({ href, text, scheme, host, reason }) {
+    const label = text || href;
+    const messageIds = {
+      unsafeScheme: "linkUnsafeScheme",
+      untrustedHost: "linkUntrustedHost",
+      mismatchedText: "linkMismatchedText",
+      untrustedImageHost: "imageUntrustedHost",
+    };
+    return I18n.t(messageIds[reason], {
+      text: label.length > 40 ? `${label.slice(0, 40)}…` : label,
+      host,
+      scheme: scheme.replace(/:$/, ""),
+    });
   },
 };
 
@@ -219,7 +1974,7 @@ function displayNotification(type, message, persistent = false) {
   try {
     const item = Office.context.mailbox.item;
     if (!item) {
-      console.error({ event: "displayNotification", error: "No mailbox item", message });
+      Logger.error({ event: "displayNotification", error: "No mailbox item", message });
       return;
     }
 
@@ -237,10 +1992,10 @@ function displayNotification(type, message, persistent = false) {
       notification.persistent = false;
     }
 
-    console.log({ event: "displayNotification", type, message, persistent });
+    Logger.info({ event: "displayNotification", type, message, persistent });
     item.notificationMessages.addAsync(`notif_${new Date().getTime()}`, notification, (result) => {
       if (result.status === Office.AsyncResultStatus.Failed) {
-        console.error({
+        Logger.error({
           event: "displayNotification",
           error: result.error.message,
           notification,
@@ -249,7 +2004,7 @@ function displayNotification(type, message, persistent = false) {
       }
     });
   } catch (error) {
-    console.error({ event: "displayNotification", error: error.message, message });
+    Logger.error({ event: "displayNotification", error: error.message, message });
   }
 }
 
@@ -259,26 +2014,50 @@ function displayNotification(type, message, persistent = false) {
  * @param {Office.AddinCommands.Event} event - The Outlook event object.
  * @param {boolean} restoreSignature - Whether to restore the original signature.
  * @param {string} signatureKey - The signature key to restore.
- * @param {string} tempSignature - Temporary signature for new emails (optional).
+ * @param {string} tempSignature - Signature to restore; defaults to the one applied to the draft, else the last one
+ *   rendered for `signatureKey` in the variant the draft takes (compact for replies and forwards) (optional).
+ * @param {Array<object>} changes - Changed fields reported by SignatureDiff (optional).
+ * @param {object|null} audit - Send decision to record in the compliance audit trail (see recordSendDecision) before
+ *   the event completes; its outcome is set to "restored" or "blocked" (optional).
  */
-async function displayError(message, event, restoreSignature = false, signatureKey = null, tempSignature = null) {
-  console.log({
+async function displayError(
+  message,
+  event,
+  restoreSignature = false,
+  signatureKey = null,
+  tempSignature = null,
+  changes = [],
+  audit = null
+) {
+  Logger.info({
     event: "displayError",
     message,
     restoreSignature,
     signatureKey,
     tempSignatureLength: tempSignature?.length,
+    changes,
   });
 
-  const markdownMessage = message.includes("modified")
-    ? `${message}\n\n**Tip**: Ensure the M3 signature is not edited before sending.`
-    : `${message}\n\n**Tip**: Select an M3 signature from the ribbon under "M3 Signatures".`;
+  const changesMarkdown = changes.length
+    ? `\n\n${I18n.t("whatChanged")}\n${changes
+        .slice(0, 5)
+        .map((change) => `- ${SignatureDiff.describeChange(change)}`)
+        .join("\n")}`
+    : "";
+  const markdownMessage =
+    restoreSignature || changes.length
+      ? `${message}${changesMarkdown}\n\n${I18n.t("tipModified")}`
+      : `${message}\n\n${I18n.t("tipMissing")}`;
 
   const item = Office.context.mailbox.item;
+  const complete = async (outcome, options) => {
+    if (audit) await recordSendDecision(item, { ...audit, changes, outcome });
+    event.completed(options);
+  };
   if (!item) {
-    console.error({ event: "displayError", error: "No mailbox item" });
+    Logger.error({ event: "displayError", error: "No mailbox item" });
     displayNotification("Error", message, true);
-    event.completed({
+    await complete("blocked", {
       allowEvent: false,
       errorMessage: message,
       errorMessageMarkdown: markdownMessage,
@@ -288,38 +2067,45 @@ async function displayError(message, event, restoreSignature = false, signatureK
   }
 
   if (restoreSignature) {
-    let signatureToRestore = tempSignature || localStorage.getItem("tempSignature_new");
+    const applied = await DraftSignatureState.read(item);
+    let signatureToRestore = tempSignature || applied?.signature;
+    signatureKey = signatureKey || applied?.signatureKey || null;
+    // Without the applied signature, replies and forwards get the compact variant back, as they did on insert.
+    let variant = signatureToRestore && signatureToRestore === applied?.signature ? applied.variant : null;
+    if (!variant) variant = (await SignatureManager.isReplyOrForward(item)) ? "compact" : "full";
     if (signatureKey && !signatureToRestore) {
-      signatureToRestore = localStorage.getItem(`signature_${signatureKey}`);
+      signatureToRestore = SignatureStorage.get(SignatureCache.renderedKey(signatureKey, variant));
     }
 
     if (!signatureToRestore) {
-      console.error({ event: "displayError", error: "No signature to restore", signatureKey });
-      displayNotification("Error", `${message} (Failed to restore: No signature available)`, true);
-      event.completed({
+      Logger.error({ event: "displayError", error: "No signature to restore", signatureKey });
+      const failedMessage = `${message} (${I18n.t("restoreUnavailable")})`;
+      displayNotification("Error", failedMessage, true);
+      await complete("blocked", {
         allowEvent: false,
-        errorMessage: `${message} (Failed to restore: No signature available)`,
-        errorMessageMarkdown: `${markdownMessage}\n**Note**: Failed to restore signature. Please reselect.`,
+        errorMessage: failedMessage,
+        errorMessageMarkdown: `${markdownMessage}\n${I18n.t("restoreFailedNote")}`,
         cancelLabel: "OK",
       });
       return;
     }
 
-    const restored = await SignatureManager.restoreSignature(item, signatureToRestore, signatureKey || "tempSignature");
+    const restored = await SignatureManager.restoreSignature(item, signatureToRestore, signatureKey, variant);
     if (!restored) {
-      console.error({ event: "displayError", error: "Restoration failed", signatureKey });
-      displayNotification("Error", `${message} (Failed to restore signature)`, true);
-      event.completed({
+      Logger.error({ event: "displayError", error: "Restoration failed", signatureKey });
+      const failedMessage = `${message} (${I18n.t("restoreFailed")})`;
+      displayNotification("Error", failedMessage, true);
+      await complete("blocked", {
         allowEvent: false,
-        errorMessage: `${message} (Failed to restore signature)`,
-        errorMessageMarkdown: `${markdownMessage}\n**Note**: Failed to restore signature. Please reselect.`,
+        errorMessage: failedMessage,
+        errorMessageMarkdown: `${markdownMessage}\n${I18n.t("restoreFailedNote")}`,
         cancelLabel: "OK",
       });
       return;
     }
 
     displayNotification("Error", `${message}`, true);
-    event.completed({
+    await complete("restored", {
       allowEvent: false,
       errorMessage: `${message}`,
       errorMessageMarkdown: `${markdownMessage}`,
@@ -327,7 +2113,7 @@ async function displayError(message, event, restoreSignature = false, signatureK
     });
   } else {
     displayNotification("Error", message, false);
-    event.completed({
+    await complete("blocked", {
       allowEvent: false,
       errorMessage: message,
       errorMessageMarkdown: markdownMessage,
@@ -336,42 +2122,92 @@ async function displayError(message, event, restoreSignature = false, signatureK
   }
 }
 
+/**
+ * Records a send decision in the compliance audit trail. The record holds the signature that was on the message
+ * (key, variant, template version and fingerprints of the signature and its disclaimer) and a per-domain summary of
+ * the recipients, never addresses or content. Failures are logged and never change the decision.
+ * @param {Office.MessageCompose|null} item - The email item.
+ * @param {{outcome: string, reason: string, signatureKey?: string|null, variant?: string|null,
+ *   signature?: string|null, bodyType?: string, changes?: Array<object>, classification?: object}} decision - The
+ *   outcome ("allowed", "restored" or "blocked"), why ("valid", "modified", "missing", "internalExempt", "noItem" or
+ *   "error"), the signature found in the email, and the recipient classification when already known.
+ * @returns {Promise<void>} Resolves when the record has been queued.
+ */
+async function recordSendDecision(item, decision) {
+  const { outcome, reason, signatureKey = null, variant = null, signature = null, bodyType = null } = decision;
+  try {
+    const classification = decision.classification || (item ? await RecipientClassifier.classify(item) : null);
+    const domains = {};
+    (classification?.recipients || []).forEach((recipient) => {
+      const domain = recipient.split("@")[1] || "";
+      domains[domain] = (domains[domain] || 0) + 1;
+    });
+    const disclaimer = signature
+      ? SignatureDiff.describe(bodyType === "text" ? PlainTextSignature.toHtml(signature) : signature).disclaimer
+      : "";
+
+    await ComplianceAudit.record({
+      timestamp: new Date().toISOString(),
+      correlationId: Logger.correlationId,
+      outcome,
+      reason,
+      signatureKey,
+      variant: signature ? variant || "full" : null,
+      templateVersion: signatureKey ? SignatureCache.read(signatureKey)?.version || null : null,
+      fingerprint: signature ? await SignatureFingerprint.compute(signature, signatureKey) : null,
+      disclaimerFingerprint: disclaimer ? await SignatureFingerprint.hash(disclaimer) : null,
+      bodyType,
+      changes: (decision.changes || []).map((change) => change.field),
+      conversationId: item ? SignatureManager.threadIdOf(item) : null,
+      recipients: classification && {
+        audience: classification.audience,
+        internal: classification.internal.length,
+        external: classification.external.length,
+        domains,
+      },
+    });
+  } catch (error) {
+    Logger.error({ event: "recordSendDecision", error: error.message, outcome, reason });
+  }
+}
+
 /**
  * Applies the default M3 signature and allows sending for restored signatures.
  * @param {Office.AddinCommands.Event} event - The Outlook event object.
  */
-async function applyDefaultSignature(event) {
-  console.log({ event: "applyDefaultSignature" });
+export async function applyDefaultSignature(event) {
+  Logger.info({ event: "applyDefaultSignature" });
   const item = Office.context.mailbox.item;
-  const body = await new Promise((resolve) => item.body.getAsync("html", (result) => resolve(result.value)));
-  const isClassicOutlook = Office.context.mailbox.diagnostics.hostName === "Outlook";
-  const currentSignature = isClassicOutlook
-    ? SignatureManager.extractSignatureForOutlookClassic(body)
-    : SignatureManager.extractSignature(body);
+  const { bodyType, details } = await SignatureManager.readSignature(item);
+  const currentSignature = details?.signature || "";
 
   const signatureKey = await getSignatureKeyForRecipients(item);
   if (!signatureKey) {
-    console.log({ event: "applyDefaultSignature", status: "No signature key found, applying default" });
-    await addSignature("m3Signature", event);
+    Logger.info({ event: "applyDefaultSignature", status: "No signature key found, applying default" });
+    await addSignature(AppConfig.get("catalog.defaultSignatureKey"), event);
     return;
   }
 
-  const cachedSignature = localStorage.getItem(`signature_${signatureKey}`);
-  if (!cachedSignature) {
-    console.log({ event: "applyDefaultSignature", status: "No cached signature, applying default" });
-    await addSignature("m3Signature", event);
+  const cachedSignatures = TemplateRenderer.variants
+    .map((variant) => SignatureStorage.get(SignatureCache.renderedKey(signatureKey, variant)))
+    .filter(Boolean);
+  if (!cachedSignatures.length) {
+    Logger.info({ event: "applyDefaultSignature", status: "No cached signature, applying default" });
+    await addSignature(AppConfig.get("catalog.defaultSignatureKey"), event);
     return;
   }
 
-  const cleanCurrentSignature = SignatureManager.normalizeSignature(currentSignature);
-  const cleanStoredSignature = SignatureManager.normalizeSignature(cachedSignature);
+  const cleanCurrentSignature = SignatureManager.normalizeForBody(currentSignature, bodyType);
+  const cleanStoredSignatures = cachedSignatures.map((signature) =>
+    SignatureManager.normalizeForBody(signature, bodyType, true)
+  );
 
-  if (cleanCurrentSignature === cleanStoredSignature) {
-    console.log({ event: "applyDefaultSignature", status: "Signature matches, allowing send", signatureKey });
+  if (cleanStoredSignatures.includes(cleanCurrentSignature)) {
+    Logger.info({ event: "applyDefaultSignature", status: "Signature matches, allowing send", signatureKey });
     event.completed({ allowEvent: true });
   } else {
-    console.log({ event: "applyDefaultSignature", status: "Signature mismatch, applying default" });
-    await addSignature("m3Signature", event);
+    Logger.info({ event: "applyDefaultSignature", status: "Signature mismatch, applying default" });
+    await addSignature(AppConfig.get("catalog.defaultSignatureKey"), event);
   }
 }
 
@@ -379,8 +2215,8 @@ async function applyDefaultSignature(event) {
  * Cancels the Smart Alert action.
  * @param {Office.AddinCommands.Event} event - The Outlook event object.
  */
-function cancelAction(event) {
-  console.log({ event: "cancelAction" });
+export function cancelAction(event) {
+  Logger.info({ event: "cancelAction" });
   event.completed({ allowEvent: false });
 }
 
@@ -388,348 +2224,475 @@ function cancelAction(event) {
  * Validates the email signature on send.
  * @param {Office.AddinCommands.Event} event - The Outlook event object.
  */
-async function validateSignature(event) {
-  console.log({ event: "validateSignature" });
+export async function validateSignature(event) {
+  Logger.info({ event: "validateSignature" });
   try {
     const item = Office.context.mailbox.item;
     if (!item) {
-      console.error({ event: "validateSignature", error: "No mailbox item" });
-      displayError("No mailbox item available.", event);
+      Logger.error({ event: "validateSignature", error: "No mailbox item" });
+      displayError(I18n.t("noMailboxItem"), event, false, null, null, [], { reason: "noItem" });
       return;
     }
 
-    const isExternal = await isExternalEmail(item);
-    console.log({ event: "validateSignature", isExternal });
+    const classification = await RecipientClassifier.classify(item);
+    const { audience } = classification;
+    Logger.info({ event: "validateSignature", audience });
     const isReplyOrForward = await SignatureManager.isReplyOrForward(item);
-    console.log({ event: "validateSignature", isReplyOrForward });
-    const body = await new Promise((resolve) => item.body.getAsync("html", (result) => resolve(result.value)));
-    const isClassicOutlook = Office.context.mailbox.diagnostics.hostName === "Outlook";
-    const currentSignature = isClassicOutlook
-      ? SignatureManager.extractSignatureForOutlookClassic(body)
-      : SignatureManager.extractSignature(body);
-
-    if (!currentSignature) {
-      console.log({ event: "validateSignature", status: "No signature found" });
-      displayError("Email is missing the M3 required signature. Please select an appropriate email signature.", event);
+    Logger.info({ event: "validateSignature", isReplyOrForward });
+    const { bodyType, details } = await SignatureManager.readSignature(item);
+    const currentSignature = details?.signature;
+    Logger.info({ event: "validateSignature", bodyType });
+
+    if (audience === "internal" && AppConfig.get("enforcement.exemptInternalMail")) {
+      Logger.info({ event: "validateSignature", status: "Internal mail is exempt from enforcement" });
+      await recordSendDecision(item, {
+        outcome: "allowed",
+        reason: "internalExempt",
+        ...details,
+        bodyType,
+        classification,
+      });
+      event.completed({ allowEvent: true });
+    } else if (!currentSignature) {
+      Logger.info({ event: "validateSignature", status: "No signature found" });
+      displayError(I18n.t("missingSignature"), event, false, null, null, [], {
+        reason: "missing",
+        bodyType,
+        classification,
+      });
     } else {
-      await validateSignatureChanges(item, currentSignature, event, isReplyOrForward);
+      await validateSignatureChanges(item, details, event, isReplyOrForward, bodyType);
     }
   } catch (error) {
-    console.error({ event: "validateSignature", error: error.message });
-    displayError("Unexpected error validating signature.", event);
+    Logger.error({ event: "validateSignature", error: error.message });
+    displayError(I18n.t("validationError"), event, false, null, null, [], { reason: "error" });
   }
 }
 
 /**
  * Validates if the signature has been modified or changed.
  * @param {Office.MessageCompose} item - The email item.
- * @param {string} currentSignature - The current signature in the email body.
+ * @param {object} extracted - The signature read from the body by validateSignature (see
+ *   SignatureManager.readSignature), so the body is fetched once per send.
  * @param {Office.AddinCommands.Event} event - The Outlook event object.
  * @param {boolean} isReplyOrForward - Whether the email is a reply/forward.
+ * @param {string} bodyType - The body type ("html" or "text"); plain-text signatures are compared as text.
  */
-async function validateSignatureChanges(item, currentSignature, event, isReplyOrForward) {
+async function validateSignatureChanges(item, extracted, event, isReplyOrForward, bodyType = "html") {
   try {
-    const newBody = await new Promise((resolve) => item.body.getAsync("html", (result) => resolve(result.value)));
-    const isClassicOutlook = Office.context.mailbox.diagnostics.hostName === "Outlook";
-    const newSignature = isClassicOutlook
-      ? SignatureManager.extractSignatureForOutlookClassic(newBody)
-      : SignatureManager.extractSignature(newBody);
+    const newSignature = extracted?.signature;
 
     if (!newSignature) {
-      console.log({ event: "validateSignatureChanges", status: "Missing signature" });
-      displayError("Email is missing the M3 required signature. Please select an appropriate email signature.", event);
+      Logger.info({ event: "validateSignatureChanges", status: "Missing signature" });
+      displayError(I18n.t("missingSignature"), event, false, null, null, [], {
+        reason: "missing",
+        bodyType,
+      });
       return;
     }
 
-    const cleanNewSignature = SignatureManager.normalizeSignature(newSignature);
-    const signatureKeys = ["monaSignature", "morganSignature", "morvenSignature", "m2Signature", "m3Signature"];
-    let matchedSignatureKey = null;
-    let rawMatchedSignature = null;
-
-    console.log({ event: "validateSignatureChanges", rawNewSignature: newSignature, cleanNewSignature });
-
-    // Check if the current signature matches any stored signature (normalized)
-    for (const key of signatureKeys) {
-      const cachedSignature = localStorage.getItem(`signature_${key}`);
-      if (cachedSignature) {
-        const cleanCachedSignature = SignatureManager.normalizeSignature(cachedSignature);
-        console.log({
-          event: "validateSignatureChanges",
-          signatureKey: key,
-          rawCachedSignature: cachedSignature,
-          cleanCachedSignature,
-        });
-        if (cleanNewSignature === cleanCachedSignature) {
-          matchedSignatureKey = key;
-          rawMatchedSignature = cachedSignature;
-          console.log({ event: "validateSignatureChanges", status: "Matched signature", matchedSignatureKey });
-          break;
-        }
-      }
-    }
-
+    const applied = await DraftSignatureState.read(item);
     const lastAppliedSignature =
-      localStorage.getItem("tempSignature_new") || localStorage.getItem(`signature_${signatureKeys[0]}`);
-    const cleanLastAppliedSignature = SignatureManager.normalizeSignature(lastAppliedSignature);
-    console.log({
-      event: "validateSignatureChanges",
-      rawLastAppliedSignature: lastAppliedSignature,
-      cleanLastAppliedSignature,
-    });
-
-    // Extract logo URL from new signature
-    const logoRegex = /<img[^>]+src=["'](.*?(?:m3signatures\/logo\/[^"']+))["'][^>]*>/i;
-    const newLogoMatch = newSignature.match(logoRegex);
-    let newLogoUrl = newLogoMatch ? newLogoMatch[1] : null;
-    // Remove query parameters for comparison
-    if (newLogoUrl) {
-      newLogoUrl = newLogoUrl.split("?")[0];
-    }
-    console.log({ event: "validateSignatureChanges", newLogoUrl });
-
-    // Extract expected logo URL from the matched cached signature
-    let expectedLogoUrl = null;
-    if (rawMatchedSignature) {
-      const expectedLogoMatch = rawMatchedSignature.match(logoRegex);
-      expectedLogoUrl = expectedLogoMatch ? expectedLogoMatch[1] : null;
-      // Remove query parameters for comparison
-      if (expectedLogoUrl) {
-        expectedLogoUrl = expectedLogoUrl.split("?")[0];
-      }
-    } else if (lastAppliedSignature) {
-      // Fallback to last applied signature if no match is found
-      const lastAppliedLogoMatch = lastAppliedSignature.match(logoRegex);
-      expectedLogoUrl = lastAppliedLogoMatch ? lastAppliedLogoMatch[1] : null;
-      if (expectedLogoUrl) {
-        expectedLogoUrl = expectedLogoUrl.split("?")[0];
-      }
+      applied?.signature || SignatureStorage.get(`signature_${AppConfig.get("catalog.defaultSignatureKey")}`);
+    let matchedSignatureKey = null;
+    let rawMatchedSignature = null;
+    let isTextValid;
+
+    if (extracted.fingerprint) {
+      // The signature was stamped at insert time: check it against the signature applied to the draft.
+      ({
+        matchedSignatureKey,
+        rawMatchedSignature,
+        isFingerprintValid: isTextValid,
+      } = await matchSignatureByFingerprint(extracted, applied));
+    } else {
+      ({ matchedSignatureKey, rawMatchedSignature, isTextValid } = await matchSignatureByContent(
+        newSignature,
+        lastAppliedSignature,
+        bodyType
+      ));
     }
-    console.log({ event: "validateSignatureChanges", expectedLogoUrl });
-
-    // Check if signatures and logos match
-    const isTextValid = matchedSignatureKey || cleanNewSignature === cleanLastAppliedSignature;
-    const isLogoValid = !expectedLogoUrl || (newLogoUrl && newLogoUrl === expectedLogoUrl);
-    console.log({ event: "validateSignatureChanges", isTextValid, isLogoValid });
 
-    if (isTextValid && isLogoValid) {
-      console.log({ event: "validateSignatureChanges", status: "Signature and logo valid", matchedSignatureKey });
-      if (!isReplyOrForward) {
-        localStorage.removeItem("tempSignature_new");
-        console.log({ event: "validateSignatureChanges", status: "Cleared temporary signature for new email" });
-      }
-      await saveSignatureData(item, matchedSignatureKey || signatureKeys[0]);
+    // Images and links are checked against the applied signature on both paths, whatever the stamp says.
+    const expectedSignature = rawMatchedSignature || lastAppliedSignature;
+    const { changes: resourceChanges, findings } =
+      bodyType === "text" ? { changes: [], findings: [] } : SignatureLinkPolicy.check(expectedSignature, newSignature);
+    const isResourcesValid = !resourceChanges.length && !findings.length;
+    Logger.info({ event: "validateSignatureChanges", isTextValid, isResourcesValid, resourceChanges });
+
+    if (isTextValid && isResourcesValid) {
+      Logger.info({
+        event: "validateSignatureChanges",
+        status: "Signature, images and links valid",
+        matchedSignatureKey,
+      });
+      await saveSignatureData(item, matchedSignatureKey || AppConfig.get("catalog.defaultSignatureKey"));
+      await recordSendDecision(item, {
+        ...extracted,
+        outcome: "allowed",
+        reason: "valid",
+        signatureKey: matchedSignatureKey || AppConfig.get("catalog.defaultSignatureKey"),
+        bodyType,
+      });
       event.completed({ allowEvent: true });
     } else {
-      console.log({ event: "validateSignatureChanges", status: "Signature or logo modified", matchedSignatureKey });
+      const changes =
+        bodyType === "text"
+          ? SignatureDiff.compare(
+              PlainTextSignature.toHtml(PlainTextSignature.fromHtml(expectedSignature)),
+              PlainTextSignature.toHtml(newSignature),
+              getUserDetails(await SenderIdentity.resolve(item))
+            )
+          : SignatureDiff.compare(expectedSignature, newSignature, getUserDetails(await SenderIdentity.resolve(item)));
+      const changedFields = changes.map((change) => SignatureDiff.label(change.field)).join(", ");
+      const modifiedMessage = findings.length
+        ? I18n.t("suspiciousLinks", {
+            links: findings
+              .slice(0, 3)
+              .map((finding) => SignatureLinkPolicy.describeFinding(finding))
+              .join("; "),
+          })
+        : I18n.t("modifiedSignature", { changes: changedFields ? ` (${changedFields})` : "" });
+      Logger.info({
+        event: "validateSignatureChanges",
+        status: "Signature, images or links modified",
+        matchedSignatureKey,
+        changes,
+        findings,
+      });
+      const audit = {
+        ...extracted,
+        reason: findings.length ? "suspiciousLink" : "modified",
+        signatureKey: matchedSignatureKey || extracted.signatureKey || applied?.signatureKey || null,
+        bodyType,
+      };
       if (isReplyOrForward) {
-        const signatureKey = await getSignatureKeyForRecipients(item);
-        const tempSignature = localStorage.getItem("tempSignature_new");
-        if (tempSignature) {
-          console.log({ event: "validateSignatureChanges", status: "Restoring temporary signature for reply/forward" });
-          displayError(
-            "Selected M3 email signature has been modified. M3 email signature is prohibited from modification. The original signature is now restored.",
-            event,
-            true,
-            signatureKey,
-            tempSignature
-          );
+        const signatureKey = applied?.signatureKey || (await getSignatureKeyForRecipients(item));
+        if (applied?.signature) {
+          Logger.info({ event: "validateSignatureChanges", status: "Restoring draft signature for reply/forward" });
+          displayError(modifiedMessage, event, true, signatureKey, applied.signature, changes, audit);
         } else if (signatureKey) {
-          console.log({ event: "validateSignatureChanges", status: "Restoring signature from signatureKey" });
-          displayError(
-            "Selected M3 email signature has been modified. M3 email signature is prohibited from modification. The original signature is now restored.",
-            event,
-            true,
-            signatureKey
-          );
+          Logger.info({ event: "validateSignatureChanges", status: "Restoring signature from signatureKey" });
+          displayError(modifiedMessage, event, true, signatureKey, null, changes, audit);
         } else {
-          console.log({
+          Logger.info({
             event: "validateSignatureChanges",
-            status: "No signatureKey or tempSignature for reply/forward, prompting re-selection",
+            status: "No signatureKey or draft signature for reply/forward, prompting re-selection",
           });
-          displayError(
-            "Selected M3 signature or logo has been modified. Please select an appropriate email signature.",
-            event,
-            false
-          );
+          displayError(I18n.t("modifiedSignatureReselect"), event, false, null, null, changes, audit);
         }
       } else {
-        const tempSignature = localStorage.getItem("tempSignature_new");
-        if (tempSignature) {
-          console.log({ event: "validateSignatureChanges", status: "Restoring temporary signature for new email" });
-          displayError(
-            "Selected M3 email signature has been modified. M3 email signature is prohibited from modification. The original signature is now restored.",
-            event,
-            true,
-            null,
-            tempSignature
-          );
+        if (applied?.signature) {
+          Logger.info({ event: "validateSignatureChanges", status: "Restoring draft signature for new email" });
+          displayError(modifiedMessage, event, true, applied.signatureKey, applied.signature, changes, audit);
         } else {
-          console.log({ event: "validateSignatureChanges", status: "Restoring default signature for new email" });
+          Logger.info({ event: "validateSignatureChanges", status: "Restoring default signature for new email" });
           displayError(
-            "Selected M3 email signature has been modified. M3 email signature is prohibited from modification. The original signature is now restored.",
+            modifiedMessage,
             event,
             true,
+            AppConfig.get("catalog.defaultSignatureKey"),
             null,
-            localStorage.getItem(`signature_${signatureKeys[0]}`)
+            changes,
+            audit
           );
         }
       }
     }
   } catch (error) {
-    console.error({ event: "validateSignatureChanges", error: error.message });
-    displayError("Unexpected error validating signature changes.", event);
+    Logger.error({ event: "validateSignatureChanges", error: error.message });
+    displayError(I18n.t("validationChangesError"), event, false, null, null, [], {
+      reason: "error",
+      bodyType,
+    });
   }
 }
 
 /**
- * Checks if the email is external.
- * @param {Office.MessageCompose} item - The email item.
- * @returns {Promise<boolean>} True if external.
+ * Checks a stamped signature. The stamp is an unkeyed hash that anyone can recompute, so a block that only agrees
+ * with its own stamp proves nothing: its key must also be the one applied to this draft (or, when the draft has no
+ * record, a key in the catalog), and its recomputed fingerprint must equal that of the applied signature, or of the
+ * cached rendered signature for the key and variant.
+ * @param {{signature: string, signatureKey: string, fingerprint: string, variant: string|null}} extracted - The
+ *   signature found in the email, with its stamp.
+ * @param {{signatureKey: string, signature: string|null, variant: string}|null} applied - The signature applied to
+ *   the draft (see DraftSignatureState.read).
+ * @returns {Promise<{matchedSignatureKey: string|null, rawMatchedSignature: string|null,
+ *   isFingerprintValid: boolean}>} The match result; rawMatchedSignature is the signature the block was compared with.
  */
-function isExternalEmail(item) {
-  return new Promise((resolve) => {
-    console.log({ event: "isExternalEmail" });
-    const isClassicOutlook = Office.context.mailbox.diagnostics.hostName === "Outlook";
-    resolve(!isClassicOutlook && item.inReplyTo && item.inReplyTo.indexOf("OUTLOOK.COM") === -1);
+async function matchSignatureByFingerprint(extracted, applied) {
+  const { signatureKey } = extracted;
+  const variant = extracted.variant || "full";
+  const isKnownKey = applied?.signatureKey
+    ? applied.signatureKey === signatureKey
+    : await SignatureRegistry.load().then(
+        () => SignatureRegistry.has(signatureKey),
+        (error) => {
+          Logger.error({ event: "matchSignatureByFingerprint", error: error.message });
+          return false;
+        }
+      );
+  const rawMatchedSignature =
+    applied?.signatureKey === signatureKey && applied.variant === variant && applied.signature
+      ? applied.signature
+      : SignatureStorage.get(SignatureCache.renderedKey(signatureKey, variant));
+
+  const fingerprint = await SignatureFingerprint.compute(extracted.signature, signatureKey);
+  const expectedFingerprint = rawMatchedSignature
+    ? await SignatureFingerprint.compute(rawMatchedSignature, signatureKey)
+    : null;
+  const isFingerprintValid =
+    isKnownKey && Boolean(fingerprint) && fingerprint === extracted.fingerprint && fingerprint === expectedFingerprint;
+  Logger.info({
+    event: "matchSignatureByFingerprint",
+    signatureKey,
+    variant,
+    appliedSignatureKey: applied?.signatureKey || null,
+    isKnownKey,
+    isStampValid: Boolean(fingerprint) && fingerprint === extracted.fingerprint,
+    isFingerprintValid,
+  });
+
+  return { matchedSignatureKey: isFingerprintValid ? signatureKey : null, rawMatchedSignature, isFingerprintValid };
+}
+
+/**
+ * Matches a signature without a fingerprint against the cached signatures by normalized text. Images and links are
+ * checked separately (see SignatureLinkPolicy.check).
+ * @param {string} newSignature - The signature found in the email.
+ * @param {string|null} lastAppliedSignature - The signature applied last, used when no cached signature matches.
+ * @param {string} bodyType - The body type ("html" or "text"); text signatures are compared with the text rendition
+ *   of the cached signatures.
+ * @returns {Promise<{matchedSignatureKey: string|null, rawMatchedSignature: string|null, isTextValid: boolean}>} The
+ *   match result.
+ */
+async function matchSignatureByContent(newSignature, lastAppliedSignature, bodyType = "html") {
+  const cleanNewSignature = SignatureManager.normalizeForBody(newSignature, bodyType);
+  const signatureKeys = await SignatureRegistry.load().then(
+    () => SignatureRegistry.keys(),
+    (error) => {
+      Logger.error({ event: "matchSignatureByContent", error: error.message });
+      return [];
+    }
+  );
+  let matchedSignatureKey = null;
+  let rawMatchedSignature = null;
+
+  Logger.debug({ event: "matchSignatureByContent", rawNewSignature: newSignature, cleanNewSignature });
+
+  // Check if the current signature matches any stored signature, in either variant (normalized)
+  const candidates = signatureKeys.flatMap((key) => TemplateRenderer.variants.map((variant) => ({ key, variant })));
+  for (const { key, variant } of candidates) {
+    const cachedSignature = SignatureStorage.get(SignatureCache.renderedKey(key, variant));
+    if (cachedSignature) {
+      const cleanCachedSignature = SignatureManager.normalizeForBody(cachedSignature, bodyType, true);
+      Logger.debug({
+        event: "matchSignatureByContent",
+        signatureKey: key,
+        variant,
+        rawCachedSignature: cachedSignature,
+        cleanCachedSignature,
+      });
+      if (cleanNewSignature === cleanCachedSignature) {
+        matchedSignatureKey = key;
+        rawMatchedSignature = cachedSignature;
+        Logger.info({ event: "matchSignatureByContent", status: "Matched signature", matchedSignatureKey, variant });
+        break;
+      }
+    }
+  }
+
+  const cleanLastAppliedSignature = SignatureManager.normalizeForBody(lastAppliedSignature, bodyType, true);
+  Logger.debug({
+    event: "matchSignatureByContent",
+    rawLastAppliedSignature: lastAppliedSignature,
+    cleanLastAppliedSignature,
   });
+
+  const isTextValid = Boolean(matchedSignatureKey) || cleanNewSignature === cleanLastAppliedSignature;
+  Logger.info({ event: "matchSignatureByContent", isTextValid });
+
+  return { matchedSignatureKey, rawMatchedSignature, isTextValid };
+}
+
+/**
+ * Collects the details used to fill signature templates.
+ * Name and e-mail come from the sending identity: the mailbox profile, or the From account when sending from a shared
+ * mailbox or as a delegate. The `userDetails` object in signature storage only applies to the user's own mailbox; the
+ * mailbox override's `details` apply last.
+ * @param {{emailAddress: string, displayName: string, isOwnMailbox: boolean}|null} identity - The sending identity
+ *   from SenderIdentity.resolve; defaults to the signed-in user.
+ * @returns {object} The user details.
+ */
+export function getUserDetails(identity = null) {
+  const profile = Office.context.mailbox.userProfile;
+  const isOwnMailbox = !identity || identity.isOwnMailbox;
+  const displayName = ((isOwnMailbox ? profile.displayName : identity.displayName) || "").trim();
+  const nameParts = displayName.split(/\s+/).filter(Boolean);
+  let storedDetails = {};
+  if (isOwnMailbox) {
+    try {
+      storedDetails = JSON.parse(SignatureStorage.get("userDetails")) || {};
+    } catch (error) {
+      Logger.error({ event: "getUserDetails", error: error.message });
+    }
+  }
+  const override = SenderIdentity.override(isOwnMailbox ? profile.emailAddress : identity.emailAddress);
+
+  return {
+    firstName: nameParts.length > 1 ? nameParts.slice(0, -1).join(" ") : displayName,
+    lastName: nameParts.length > 1 ? nameParts[nameParts.length - 1] : "",
+    displayName,
+    email: (isOwnMailbox ? profile.emailAddress : identity.emailAddress) || "",
+    ...storedDetails,
+    ...(override?.details || {}),
+  };
+}
+
+/**
+ * Renders a signature template for the sending identity.
+ * @param {string} template - The signature template HTML.
+ * @param {string} signatureKey - The signature key, for logging.
+ * @param {object} details - The details to fill in (see getUserDetails).
+ * @param {string} variant - The variant to render ("full" or "compact").
+ * @returns {string} The rendered signature HTML.
+ */
+function renderSignature(template, signatureKey, details = getUserDetails(), variant = "full") {
+  const { html, unresolved, empty } = TemplateRenderer.render(template, details, variant);
+  if (unresolved.length) {
+    Logger.warn({ event: "renderSignature", signatureKey, status: "Unresolved placeholders", unresolved });
+  }
+  Logger.info({ event: "renderSignature", signatureKey, variant, empty });
+  return html;
+}
+
+/**
+ * Fetches a URL, aborting the request if it does not complete within the signature API timeout.
+ * @param {string} url - The URL to fetch.
+ * @param {RequestInit} options - Fetch options.
+ * @returns {Promise<Response>} The response.
+ */
+async function fetchWithTimeout(url, options = {}) {
+  const controller = new AbortController();
+  const timeoutMs = AppConfig.get("api.timeoutMs");
+  const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
+  try {
+    return await fetch(url, { ...options, signal: controller.signal });
+  } catch (error) {
+    if (error.name === "AbortError") throw new Error(`Request timed out after ${timeoutMs} ms`);
+    throw error;
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+/**
+ * Finds a template to use when the signature API cannot provide one: the last-known-good cached template,
+ * even if expired, or else the template bundled with the add-in.
+ * @param {string} signatureKey - The signature key.
+ * @returns {{template: string, source: string}|null} The fallback template and its source, or null.
+ */
+export function getFallbackTemplate(signatureKey) {
+  const cachedEntry = SignatureCache.read(signatureKey);
+  if (cachedEntry) return { template: cachedEntry.template, source: "lastKnownGood" };
+  const bundledEntry = AppConfig.get("catalog.fallback").find((entry) => entry.key === signatureKey);
+  if (bundledEntry) return { template: buildFallbackTemplate(bundledEntry.name), source: "bundled" };
+  return null;
 }
 
 /**
- * Fetches a signature from the API.
+ * Fetches a signature template from the API and stores it in the signature cache.
+ * Sends the cached ETag so unchanged templates are revalidated without downloading them again.
  * @param {string} signatureKey - The signature key (e.g., "m3Signature").
  * @param {function} callback - Callback with (template, error).
  */
-function fetchSignature(signatureKey, callback) {
-  const signatureIndex = ["monaSignature", "morganSignature", "morvenSignature", "m2Signature", "m3Signature"].indexOf(
-    signatureKey
-  );
-  const initialUrl = "https://m3windsignature-bucabmeuhxaafda3.uksouth-01.azurewebsites.net/api/Ribbons/ribbons";
-  let signatureUrl =
-    "https://m3windsignature-bucabmeuhxaafda3.uksouth-01.azurewebsites.net/api/Signatures/signatures?signatureURL=";
-
-  fetch(initialUrl)
-    .then((response) => response.json())
-    .then((data) => {
-      signatureUrl += data.result[signatureIndex].url;
-      fetch(signatureUrl)
-        .then((response) => response.json())
-        .then((data) => {
-          let template = data.result;
-          template = template
-            .replace("{First name} ", Office.context.mailbox.userProfile.displayName || "")
-            .replace("{Last name}", "")
-            .replaceAll("{E-mail}", Office.context.mailbox.userProfile.emailAddress || "")
-            .replace("{Title}", "")
-            .trim();
-          callback(template, null);
-        })
-        .catch((err) => callback(null, err));
+export function fetchSignature(signatureKey, callback) {
+  const signatureUrl = AppConfig.get("api.baseUrl") + AppConfig.get("api.signaturesPath");
+  const cachedEntry = SignatureCache.read(signatureKey);
+
+  SignatureRegistry.load()
+    .then(() => {
+      const { url } = SignatureRegistry.get(signatureKey);
+      if (!url) throw new Error("Signature catalog is unavailable");
+      return fetchWithTimeout(signatureUrl + url, {
+        headers: cachedEntry?.etag ? { "If-None-Match": cachedEntry.etag } : {},
+      });
+    })
+    .then(async (response) => {
+      let entry;
+      if (response.status === 304 && cachedEntry) {
+        entry = { ...cachedEntry, fetchedAt: Date.now() };
+        Logger.info({ event: "fetchSignature", status: "Template not modified", signatureKey });
+      } else {
+        if (!response.ok) throw new Error(`Signature API responded with ${response.status}`);
+        const data = await response.json();
+        entry = {
+          template: data.result,
+          version: data.version ?? null,
+          etag: response.headers.get("ETag"),
+          fetchedAt: Date.now(),
+        };
+        if (cachedEntry && cachedEntry.template !== entry.template) {
+          Logger.info({
+            event: "fetchSignature",
+            status: "Template updated",
+            signatureKey,
+            previousVersion: cachedEntry.version,
+            version: entry.version,
+          });
+        }
+      }
+      SignatureCache.write(signatureKey, entry);
+      callback(entry.template, null);
     })
     .catch((err) => callback(null, err));
 }
 
 /**
- * Finds the signature key by matching conversationId, recipient emails, and subject in localStorage.
+ * Finds the signature key by matching conversationId (or meeting series), recipient emails, and subject in the
+ * thread mappings.
  * @param {Office.MessageCompose} item - The email item.
  * @returns {Promise<string|null>} The signature key or null if no match or signature is "none".
  */
-function getSignatureKeyForRecipients(item) {
+async function getSignatureKeyForRecipients(item) {
+  const conversationId = await SignatureManager.resolveThreadId(item);
   return new Promise((resolve) => {
-    item.to.getAsync((result) => {
+    SignatureManager.primaryRecipients(item).getAsync((result) => {
       if (result.status !== Office.AsyncResultStatus.Succeeded) {
-        console.error({ event: "getSignatureKeyForRecipients", error: result.error.message });
+        Logger.error({ event: "getSignatureKeyForRecipients", error: result.error.message });
         resolve(null);
         return;
       }
 
       const recipients = result.value.map((recipient) => recipient.emailAddress.toLowerCase());
-      const conversationId = item.conversationId || null;
 
       item.subject.getAsync((subjectResult) => {
         if (subjectResult.status !== Office.AsyncResultStatus.Succeeded) {
-          console.error({ event: "getSignatureKeyForRecipients", error: subjectResult.error.message });
+          Logger.error({ event: "getSignatureKeyForRecipients", error: subjectResult.error.message });
           resolve(null);
           return;
         }
 
         const currentSubject = SignatureManager.normalizeSubject(subjectResult.value);
-        console.log({ event: "getSignatureKeyForRecipients", recipients, conversationId, currentSubject });
-
-        const signatureDataEntries = [];
-        for (let i = 0; i < localStorage.length; i++) {
-          const key = localStorage.key(i);
-          if (key.startsWith("signatureData_")) {
-            try {
-              const data = JSON.parse(localStorage.getItem(key));
-              signatureDataEntries.push({ key, data });
-            } catch (error) {
-              console.error({ event: "getSignatureKeyForRecipients", error: error.message, key });
-            }
-          }
-        }
-        console.log({
-          event: "getSignatureKeyForRecipients",
-          signatureDataEntries: signatureDataEntries.map((entry) => ({
-            key: entry.key,
-            conversationId: entry.data.conversationId,
-            recipients: entry.data.recipients,
-            subject: entry.data.subject,
-            signature: entry.data.signature,
-            timestamp: entry.data.timestamp,
-          })),
-        });
-
-        signatureDataEntries.sort((a, b) => new Date(b.data.timestamp) - new Date(a.data.timestamp));
-
-        let signatureKey = null;
-
-        if (conversationId) {
-          for (const entry of signatureDataEntries) {
-            const data = entry.data;
-            if (data.conversationId === conversationId && data.signature !== "none") {
-              signatureKey = data.signature;
-              console.log({
-                event: "getSignatureKeyForRecipients",
-                status: "Found matching signature by conversationId",
-                signatureKey,
-                key: entry.key,
-                storedSubject: data.subject,
-                storedRecipients: data.recipients,
-              });
-              break;
-            }
-          }
-        }
+        Logger.info({ event: "getSignatureKeyForRecipients", recipients, conversationId, currentSubject });
 
-        if (!signatureKey) {
-          for (const entry of signatureDataEntries) {
-            const data = entry.data;
-            const storedRecipients = data.recipients.map((email) => email.toLowerCase());
-            const storedSubject = SignatureManager.normalizeSubject(data.subject);
-            if (
-              recipients.some((recipient) => storedRecipients.includes(recipient)) &&
-              storedSubject === currentSubject &&
-              data.signature !== "none"
-            ) {
-              signatureKey = data.signature;
-              console.log({
-                event: "getSignatureKeyForRecipients",
-                status: "Found matching signature by recipients and subject",
-                signatureKey,
-                key: entry.key,
-                storedSubject,
-                storedRecipients,
-              });
-              break;
-            }
-          }
+        const match = ThreadMappingStore.find({ conversationId, recipients, subject: currentSubject });
+        const signatureKey = match ? match.entry.signature : null;
+        if (match) {
+          Logger.info({
+            event: "getSignatureKeyForRecipients",
+            status: `Found matching signature by ${match.method}`,
+            signatureKey,
+            storedSubject: match.entry.subject,
+            storedRecipients: match.entry.recipients,
+          });
         }
 
         if (signatureKey) {
-          console.log({ event: "getSignatureKeyForRecipients", selectedSignatureKey: signatureKey });
+          Logger.info({ event: "getSignatureKeyForRecipients", selectedSignatureKey: signatureKey });
           resolve(signatureKey);
         } else {
-          console.log({
+          Logger.info({
             event: "getSignatureKeyForRecipients",
             selectedSignatureKey: null,
             status: "No valid signature key",
@@ -742,299 +2705,528 @@ function getSignatureKeyForRecipients(item) {
 }
 
 /**
- * Adds a signature to the email and saves it to localStorage.
+ * Adds a signature to the email and saves it to signature storage.
  * @param {string} signatureKey - The signature key (e.g., "m3Signature").
  * @param {Office.AddinCommands.Event} event - The Outlook event object.
  * @param {boolean} isAutoApplied - Whether the signature is auto-applied.
+ * @param {{source: string, rule: object, mailbox: string}|null} reason - Why an auto-applied signature was chosen
+ *   (optional).
+ * @param {string} variant - The variant to apply: "full", or "compact" for replies and forwards.
  */
-async function addSignature(signatureKey, event, isAutoApplied = false) {
-  console.log({ event: "addSignature", signatureKey, isAutoApplied });
+export async function addSignature(signatureKey, event, isAutoApplied = false, reason = null, variant = "full") {
+  Logger.info({ event: "addSignature", signatureKey, isAutoApplied, source: reason?.source, variant });
+  const item = Office.context.mailbox.item;
+  const source = reason?.source || (isAutoApplied ? "auto" : "manual");
 
   try {
-    const item = Office.context.mailbox.item;
-
-    const cachedSignature = localStorage.getItem(`signature_${signatureKey}`);
-    if (cachedSignature && !isAutoApplied) {
+    await SignatureRegistry.load();
+    SignatureRegistry.get(signatureKey);
+
+    const bodyType = await SignatureManager.getBodyType(item);
+    const identity = await SenderIdentity.resolve(item);
+    const details = getUserDetails(identity);
+    const mailboxTemplate = SenderIdentity.override(identity.emailAddress)?.template || null;
+
+    const cachedEntry = SignatureCache.read(signatureKey);
+    if (SignatureCache.isFresh(cachedEntry)) {
+      const cachedSignature = renderSignature(mailboxTemplate || cachedEntry.template, signatureKey, details, variant);
+      const fingerprint = await SignatureFingerprint.compute(cachedSignature, signatureKey);
+      const { data, coercionType } = SignatureManager.formatForBody(cachedSignature, bodyType, {
+        signatureKey,
+        fingerprint,
+        source,
+        variant,
+      });
       await new Promise((resolve) =>
-        item.body.setSignatureAsync(
-          "<!-- signature -->" + cachedSignature.trim(),
-          { coercionType: Office.CoercionType.Html },
-          (asyncResult) => {
-            if (asyncResult.status === Office.AsyncResultStatus.Failed) {
-              console.error({ event: "addSignature", error: asyncResult.error.message });
-              displayNotification("Error", `Failed to apply ${signatureKey}.`, true);
-              if (!isAutoApplied) {
-                event.completed();
-              } else {
-                displayNotification("Info", "Please select an M3 signature from the ribbon.", false);
-                saveSignatureData(item, "none");
-                event.completed();
-              }
+        item.body.setSignatureAsync(data, { coercionType }, async (asyncResult) => {
+          if (asyncResult.status === Office.AsyncResultStatus.Failed) {
+            Logger.error({ event: "addSignature", error: asyncResult.error.message });
+            displayNotification(
+              "Error",
+              I18n.t("applyFailed", { signature: SignatureRegistry.nameOf(signatureKey) }),
+              true
+            );
+            if (!isAutoApplied) {
+              event.completed();
             } else {
-              console.log({ event: "addSignature", status: "Signature applied from cache", signatureKey });
-              saveSignatureData(item, signatureKey);
-              if (!isAutoApplied) {
-                localStorage.setItem("tempSignature_new", cachedSignature);
-                console.log({ event: "addSignature", status: "Stored temporary signature for new email" });
-              }
-              item.body.getAsync("html", (result) => {
-                console.log({ event: "addSignature", bodyAfterApply: result.value });
-              });
+              displayNotification("Info", I18n.t("selectFromRibbon"), false);
+              await saveSignatureData(item, "none");
               event.completed();
             }
-            resolve();
+          } else {
+            Logger.info({ event: "addSignature", status: "Signature applied from cache", signatureKey });
+            SignatureStorage.set(SignatureCache.renderedKey(signatureKey, variant), cachedSignature);
+            await saveSignatureData(item, signatureKey);
+            await DraftSignatureState.write(item, signatureKey, cachedSignature, variant);
+            if (isAutoApplied) notifyAutoAppliedSignature(signatureKey, reason);
+            event.completed();
           }
-        )
+          resolve();
+        })
       );
     } else {
-      fetchSignature(signatureKey, async (template, error) => {
-        if (error) {
-          console.error({ event: "addSignature", error: error.message });
-          displayNotification("Error", `Failed to fetch ${signatureKey}.`, true);
+      fetchSignature(signatureKey, async (signatureTemplate, error) => {
+        // A mailbox template does not depend on the API, so fetch errors only matter without one.
+        const fallback = error && !mailboxTemplate ? getFallbackTemplate(signatureKey) : null;
+        if (fallback) {
+          Logger.warn({
+            event: "addSignature",
+            status: "Signature API unavailable, using fallback template",
+            source: fallback.source,
+            signatureKey,
+            error: error.message,
+          });
+          displayNotification("Info", I18n.t("offlineCopy", { signature: SignatureRegistry.nameOf(signatureKey) }));
+          signatureTemplate = fallback.template;
+        } else if (error && !mailboxTemplate) {
+          Logger.error({ event: "addSignature", error: error.message });
+          displayNotification(
+            "Error",
+            I18n.t("fetchFailed", { signature: SignatureRegistry.nameOf(signatureKey), error: error.message }),
+            true
+          );
           if (!isAutoApplied) {
             event.completed();
           } else {
-            displayNotification("Info", "Please select an M3 signature from the ribbon.", false);
-            saveSignatureData(item, "none");
+            displayNotification("Info", I18n.t("selectFromRibbon"), false);
+            await saveSignatureData(item, "none");
             event.completed();
           }
           return;
         }
 
+        const template = renderSignature(mailboxTemplate || signatureTemplate, signatureKey, details, variant);
+        const fingerprint = await SignatureFingerprint.compute(template, signatureKey);
+        const { data, coercionType } = SignatureManager.formatForBody(template, bodyType, {
+          signatureKey,
+          fingerprint,
+          source,
+          variant,
+        });
         await new Promise((resolve) =>
-          item.body.setSignatureAsync(
-            "<!-- signature -->" + template.trim(),
-            { coercionType: Office.CoercionType.Html },
-            (asyncResult) => {
-              if (asyncResult.status === Office.AsyncResultStatus.Failed) {
-                console.error({ event: "addSignature", error: asyncResult.error.message });
-                displayNotification("Error", `Failed to apply ${signatureKey}.`, true);
-                if (!isAutoApplied) {
-                  event.completed();
-                } else {
-                  displayNotification("Info", "Please select an M3 signature from the ribbon.", false);
-                  saveSignatureData(item, "none");
-                  event.completed();
-                }
+          item.body.setSignatureAsync(data, { coercionType }, async (asyncResult) => {
+            if (asyncResult.status === Office.AsyncResultStatus.Failed) {
+              Logger.error({ event: "addSignature", error: asyncResult.error.message });
+              displayNotification(
+                "Error",
+                I18n.t("applyFailed", { signature: SignatureRegistry.nameOf(signatureKey) }),
+                true
+              );
+              if (!isAutoApplied) {
+                event.completed();
               } else {
-                console.log({ event: "addSignature", status: "Signature applied", signatureKey });
-                localStorage.setItem(`signature_${signatureKey}`, template);
-                saveSignatureData(item, signatureKey);
-                if (!isAutoApplied) {
-                  localStorage.setItem("tempSignature_new", template);
-                  console.log({ event: "addSignature", status: "Stored temporary signature for new email" });
-                }
-                item.body.getAsync("html", (result) => {
-                  console.log({ event: "addSignature", bodyAfterApply: result.value });
-                });
+                displayNotification("Info", I18n.t("selectFromRibbon"), false);
+                await saveSignatureData(item, "none");
                 event.completed();
               }
-              resolve();
+            } else {
+              Logger.info({ event: "addSignature", status: "Signature applied", signatureKey });
+              SignatureStorage.set(SignatureCache.renderedKey(signatureKey, variant), template);
+              await saveSignatureData(item, signatureKey);
+              await DraftSignatureState.write(item, signatureKey, template, variant);
+              if (isAutoApplied) notifyAutoAppliedSignature(signatureKey, reason);
+              event.completed();
             }
-          )
+            resolve();
+          })
         );
       });
     }
   } catch (error) {
-    console.error({ event: "addSignature", error: error.message });
-    displayNotification("Error", `Failed to apply ${signatureKey}.`, true);
+    Logger.error({ event: "addSignature", error: error.message });
+    displayNotification(
+      "Error",
+      I18n.t("applyFailedWithError", { signature: SignatureRegistry.nameOf(signatureKey), error: error.message }),
+      true
+    );
     if (!isAutoApplied) {
       event.completed();
     } else {
-      displayNotification("Info", "Please select an M3 signature from the ribbon.", false);
-      saveSignatureData(item, "none");
+      displayNotification("Info", I18n.t("selectFromRibbon"), false);
+      await saveSignatureData(item, "none");
       event.completed();
     }
   }
 }
 
 /**
- * Saves signature data to localStorage, including subject.
+ * Tells the user which signature was applied automatically, and which rule chose it.
+ * @param {string} signatureKey - The applied signature key.
+ * @param {{source: string, rule: object, mailbox: string}|null} reason - Why the signature was chosen.
+ */
+function notifyAutoAppliedSignature(signatureKey, reason = null) {
+  const name = SignatureRegistry.nameOf(signatureKey);
+  const rule = reason?.rule ? I18n.t("autoAppliedRule", { rule: reason.rule.name || reason.rule.id }) : "";
+  const mailbox = reason?.mailbox ? I18n.t("autoAppliedMailbox", { mailbox: reason.mailbox }) : "";
+  displayNotification("Info", I18n.t("autoApplied", { signature: name, mailbox, rule }), false);
+}
+
+/**
+ * Records the signature used in the thread, including subject.
  * @param {Office.MessageCompose} item - The email item.
  * @param {string} signatureKey - The signature key.
  * @returns {Promise<object|null>} The saved data or null if failed.
  */
-function saveSignatureData(item, signatureKey) {
+async function saveSignatureData(item, signatureKey) {
+  const conversationId = await SignatureManager.resolveThreadId(item);
   return new Promise((resolve) => {
-    item.to.getAsync((result) => {
+    SignatureManager.primaryRecipients(item).getAsync((result) => {
       let recipients = [];
       if (result.status === Office.AsyncResultStatus.Succeeded) {
         recipients = result.value.map((recipient) => recipient.emailAddress.toLowerCase());
       } else {
-        console.error({ event: "saveSignatureData", error: result.error.message });
+        Logger.error({ event: "saveSignatureData", error: result.error.message });
       }
 
-      const conversationId = item.conversationId || null;
-
       item.subject.getAsync((subjectResult) => {
         let subject = "";
         if (subjectResult.status === Office.AsyncResultStatus.Succeeded) {
           subject = subjectResult.value;
         } else {
-          console.error({ event: "saveSignatureData", error: subjectResult.error.message });
-        }
-
-        console.log({ event: "saveSignatureData", signatureKey, recipients, conversationId, subject });
-
-        let existingKey = null;
-        if (conversationId) {
-          for (let i = 0; i < localStorage.length; i++) {
-            const key = localStorage.key(i);
-            if (key.startsWith("signatureData_")) {
-              try {
-                const data = JSON.parse(localStorage.getItem(key));
-                if (data.conversationId === conversationId) {
-                  existingKey = key;
-                  break;
-                }
-              } catch (error) {
-                console.error({ event: "saveSignatureData", error: error.message, key });
-              }
-            }
-          }
+          Logger.error({ event: "saveSignatureData", error: subjectResult.error.message });
         }
 
-        const data = {
-          recipients,
-          signature: signatureKey,
-          conversationId,
-          subject,
-          timestamp: new Date().toISOString(),
-        };
+        Logger.info({ event: "saveSignatureData", signatureKey, recipients, conversationId, subject });
 
-        if (existingKey) {
-          localStorage.setItem(existingKey, JSON.stringify(data));
-          console.log({ event: "saveSignatureData", status: "Updated existing entry", key: existingKey, subject });
-        } else {
-          const newKey = `signatureData_${Date.now()}`;
-          localStorage.setItem(newKey, JSON.stringify(data));
-          console.log({ event: "saveSignatureData", status: "Created new entry", key: newKey, subject });
-        }
-        resolve(data);
+        ThreadMappingStore.record({ recipients, signature: signatureKey, conversationId, subject }).then(resolve);
       });
     });
   });
 }
 
+/**
+ * Refreshes all signature templates from the API, replacing cached versions.
+ * @param {Office.AddinCommands.Event} event - The Outlook event object.
+ */
+export async function refreshSignatures(event) {
+  Logger.info({ event: "refreshSignatures" });
+  try {
+    const { refreshed, failed } = await SignatureCache.refreshAll();
+    if (failed.length) {
+      displayNotification(
+        "Error",
+        I18n.t("refreshFailedKeys", { signatures: failed.map((key) => SignatureRegistry.nameOf(key)).join(", ") }),
+        true
+      );
+    } else {
+      displayNotification("Info", I18n.t("refreshed", { count: refreshed.length }), false);
+    }
+  } catch (error) {
+    Logger.error({ event: "refreshSignatures", error: error.message });
+    displayNotification("Error", I18n.t("refreshFailed", { error: error.message }), true);
+  }
+  event.completed();
+}
+
 /**
  * Adds the Mona signature.
  * @param {Office.AddinCommands.Event} event - The Outlook event object.
  */
-function addSignatureMona(event) {
-  addSignature("monaSignature", event);
+export function addSignatureMona(event) {
+  addSignature(AppConfig.get("catalog.ribbon.addSignatureMona"), event);
 }
 
 /**
  * Adds the Morgan signature.
  * @param {Office.AddinCommands.Event} event - The Outlook event object.
  */
-function addSignatureMorgan(event) {
-  addSignature("morganSignature", event);
+export function addSignatureMorgan(event) {
+  addSignature(AppConfig.get("catalog.ribbon.addSignatureMorgan"), event);
 }
 
 /**
  * Adds the Morven signature.
  * @param {Office.AddinCommands.Event} event - The Outlook event object.
  */
-function addSignatureMorven(event) {
-  addSignature("morvenSignature", event);
+export function addSignatureMorven(event) {
+  addSignature(AppConfig.get("catalog.ribbon.addSignatureMorven"), event);
 }
 
 /**
  * Adds the M2 signature.
  * @param {Office.AddinCommands.Event} event - The Outlook event object.
  */
-function addSignatureM2(event) {
-  addSignature("m2Signature", event);
+export function addSignatureM2(event) {
+  addSignature(AppConfig.get("catalog.ribbon.addSignatureM2"), event);
 }
 
 /**
  * Adds the M3 signature.
  * @param {Office.AddinCommands.Event} event - The Outlook event object.
  */
-function addSignatureM3(event) {
-  addSignature("m3Signature", event);
+export function addSignatureM3(event) {
+  addSignature(AppConfig.get("catalog.ribbon.addSignatureM3"), event);
+}
+
+/**
+ * Switches the draft to the compact variant of its signature, or of the default signature if none is applied yet.
+ * @param {Office.AddinCommands.Event} event - The Outlook event object.
+ */
+export async function addCompactSignature(event) {
+  const applied = await DraftSignatureState.read(Office.context.mailbox.item);
+  const signatureKey =
+    applied?.signatureKey || (await getDefaultSignatureKey()) || AppConfig.get("catalog.defaultSignatureKey");
+  addSignature(signatureKey, event, false, null, "compact");
 }
 
 /**
  * Handles new message compose event.
  * @param {Office.AddinCommands.Event} event - The Outlook event object.
  */
-async function onNewMessageComposeHandler(event) {
-  console.log({ event: "onNewMessageComposeHandler" });
+export async function onNewMessageComposeHandler(event) {
+  Logger.info({ event: "onNewMessageComposeHandler" });
 
-  const item = Office.context.mailbox.item;
-  const isReplyOrForward = await SignatureManager.isReplyOrForward(item);
-  console.log({ event: "onNewMessageComposeHandler", isReplyOrForward });
+  try {
+    const item = Office.context.mailbox.item;
+    const isReplyOrForward = await SignatureManager.isReplyOrForward(item);
+    Logger.info({ event: "onNewMessageComposeHandler", isReplyOrForward });
+
+    let signatureKey = isReplyOrForward ? await getSignatureKeyForRecipients(item) : null;
+    let reason = { source: "thread" };
+    if (!signatureKey) {
+      const identity = await SenderIdentity.resolve(item);
+      signatureKey = SenderIdentity.override(identity.emailAddress)?.signatureKey || null;
+      reason = { source: "mailbox", mailbox: identity.emailAddress };
+    }
+    if (!signatureKey) {
+      const ruleMatch = await SignatureRules.evaluate(item);
+      signatureKey = ruleMatch?.signatureKey || null;
+      reason = { source: "rule", rule: ruleMatch?.rule };
+    }
+    if (!signatureKey) {
+      signatureKey = await getDefaultSignatureKey();
+      reason = { source: "default" };
+    }
 
-  if (isReplyOrForward) {
-    const signatureKey = await getSignatureKeyForRecipients(item);
     if (signatureKey) {
-      console.log({
+      Logger.info({
         event: "onNewMessageComposeHandler",
-        status: "Auto-applying signature for reply/forward",
+        status: "Auto-applying signature",
         signatureKey,
+        source: reason.source,
+        ruleId: reason.rule?.id,
+        isReplyOrForward,
       });
-      await addSignature(signatureKey, event, true);
+      await addSignature(signatureKey, event, true, reason, isReplyOrForward ? "compact" : "full");
     } else {
-      console.log({
+      Logger.info({
         event: "onNewMessageComposeHandler",
-        status: "No valid signature found for reply/forward, requiring manual selection",
+        status: isReplyOrForward
+          ? "No valid signature found for reply/forward, requiring manual selection"
+          : "New email, requiring manual signature selection",
       });
-      displayNotification("Info", "Please select an M3 signature from the ribbon.", false);
+      displayNotification("Info", I18n.t("selectFromRibbon"), false);
       await saveInitialSignatureData(item);
       event.completed();
     }
-  } else {
-    console.log({ event: "onNewMessageComposeHandler", status: "New email, requiring manual signature selection" });
-    displayNotification("Info", "Please select an M3 signature from the ribbon.", false);
-    await saveInitialSignatureData(item);
-    localStorage.removeItem("tempSignature_new");
-    console.log({ event: "onNewMessageComposeHandler", status: "Cleared temporary signature for new email" });
+  } catch (error) {
+    // The launch event must always complete, or Outlook keeps it pending until it times out.
+    Logger.error({ event: "onNewMessageComposeHandler", error: error.message });
+    displayNotification("Info", I18n.t("selectFromRibbon"), false);
     event.completed();
   }
 }
 
 /**
- * Saves initial signature data with "none" for new or reply/forward emails.
- * @param {Office.MessageCompose} item - The email item.
+ * Handles recipient changes by re-evaluating the signature rules.
+ * A signature the user picked from the ribbon is never replaced.
+ * @param {Office.AddinCommands.Event} event - The Outlook event object.
  */
-function saveInitialSignatureData(item) {
-  item.to.getAsync((result) => {
-    let recipients = [];
-    if (result.status === Office.AsyncResultStatus.Succeeded) {
-      recipients = result.value.map((recipient) => recipient.emailAddress.toLowerCase());
-    } else {
-      console.error({ event: "saveInitialSignatureData", error: result.error.message });
+export async function onMessageRecipientsChangedHandler(event) {
+  Logger.info({ event: "onMessageRecipientsChangedHandler" });
+
+  try {
+    const item = Office.context.mailbox.item;
+    const { details: current } = await SignatureManager.readSignature(item);
+    if (current?.source === "manual") {
+      Logger.info({ event: "onMessageRecipientsChangedHandler", status: "Keeping manually selected signature" });
+      event.completed();
+      return;
+    }
+
+    const ruleMatch = await SignatureRules.evaluate(item);
+    if (!ruleMatch || ruleMatch.signatureKey === current?.signatureKey) {
+      Logger.info({
+        event: "onMessageRecipientsChangedHandler",
+        status: "Signature unchanged",
+        signatureKey: current?.signatureKey,
+      });
+      event.completed();
+      return;
     }
 
-    const conversationId = item.conversationId || null;
+    Logger.info({
+      event: "onMessageRecipientsChangedHandler",
+      status: "Applying signature for rule",
+      ruleId: ruleMatch.rule.id,
+      signatureKey: ruleMatch.signatureKey,
+    });
+    await addSignature(
+      ruleMatch.signatureKey,
+      event,
+      true,
+      { source: "rule", rule: ruleMatch.rule },
+      current?.variant || "full"
+    );
+  } catch (error) {
+    Logger.error({ event: "onMessageRecipientsChangedHandler", error: error.message });
+    event.completed();
+  }
+}
+
+/**
+ * Gets the default signature saved in the task pane.
+ * @returns {Promise<string|null>} The default signature key, or null if none is saved or it is not in the catalog.
+ */
+async function getDefaultSignatureKey() {
+  const signatureKey = SignatureStorage.get("defaultSignature");
+  if (!signatureKey) return null;
+
+  await SignatureRegistry.load();
+  if (!SignatureRegistry.has(signatureKey)) {
+    Logger.warn({ event: "getDefaultSignatureKey", status: "Default signature is not in the catalog", signatureKey });
+    return null;
+  }
+  return signatureKey;
+}
 
-    item.subject.getAsync((subjectResult) => {
-      let subject = "";
-      if (subjectResult.status === Office.AsyncResultStatus.Succeeded) {
-        subject = subjectResult.value;
+/**
+ * Saves initial signature data with "none" for new or reply/forward emails.
+ * @param {Office.MessageCompose} item - The email item.
+ * @returns {Promise<object>} The recorded entry, once it has been persisted or dropped.
+ */
+async function saveInitialSignatureData(item) {
+  const conversationId = await SignatureManager.resolveThreadId(item);
+  return new Promise((resolve) => {
+    SignatureManager.primaryRecipients(item).getAsync((result) => {
+      let recipients = [];
+      if (result.status === Office.AsyncResultStatus.Succeeded) {
+        recipients = result.value.map((recipient) => recipient.emailAddress.toLowerCase());
       } else {
-        console.error({ event: "saveInitialSignatureData", error: subjectResult.error.message });
+        Logger.error({ event: "saveInitialSignatureData", error: result.error.message });
       }
 
-      const data = {
-        recipients,
-        signature: "none",
-        conversationId,
-        subject,
-        timestamp: new Date().toISOString(),
-      };
+      item.subject.getAsync((subjectResult) => {
+        let subject = "";
+        if (subjectResult.status === Office.AsyncResultStatus.Succeeded) {
+          subject = subjectResult.value;
+        } else {
+          Logger.error({ event: "saveInitialSignatureData", error: subjectResult.error.message });
+        }
 
-      const newKey = `signatureData_${Date.now()}`;
-      localStorage.setItem(newKey, JSON.stringify(data));
-      console.log({
-        event: "saveInitialSignatureData",
-        status: "Stored initial signature data",
-        recipients,
-        conversationId,
-        subject,
+        Logger.info({
+          event: "saveInitialSignatureData",
+          status: "Storing initial signature data",
+          recipients,
+          conversationId,
+          subject,
+        });
+        ThreadMappingStore.record({ recipients, signature: "none", conversationId, subject }).then(resolve);
       });
     });
   });
 }
+
+/**
+ * Handles a change of the From account by re-rendering the signature for the new sender.
+ * A mailbox with its own signature gets that signature unless the user picked one from the ribbon.
+ * @param {Office.AddinCommands.Event} event - The Outlook event object.
+ */
+export async function onMessageFromChangedHandler(event) {
+  Logger.info({ event: "onMessageFromChangedHandler" });
+
+  try {
+    const item = Office.context.mailbox.item;
+    const { details } = await SignatureManager.readSignature(item);
+    // Plain-text signatures carry no stamp; the draft state still knows which signature was applied.
+    const current = details?.signatureKey ? details : await DraftSignatureState.read(item);
+    const identity = await SenderIdentity.resolve(item);
+    const mailboxSignatureKey = SenderIdentity.override(identity.emailAddress)?.signatureKey;
+
+    if (mailboxSignatureKey && current?.source !== "manual") {
+      Logger.info({
+        event: "onMessageFromChangedHandler",
+        status: "Applying mailbox signature",
+        mailbox: identity.emailAddress,
+        signatureKey: mailboxSignatureKey,
+      });
+      await addSignature(
+        mailboxSignatureKey,
+        event,
+        true,
+        { source: "mailbox", mailbox: identity.emailAddress },
+        current?.variant || "full"
+      );
+    } else if (current?.signatureKey) {
+      Logger.info({
+        event: "onMessageFromChangedHandler",
+        status: "Re-rendering signature for sender",
+        mailbox: identity.emailAddress,
+        signatureKey: current.signatureKey,
+      });
+      await addSignature(
+        current.signatureKey,
+        event,
+        true,
+        { source: current.source || "auto" },
+        current.variant || "full"
+      );
+    } else {
+      Logger.info({ event: "onMessageFromChangedHandler", status: "No signature to re-render" });
+      event.completed();
+    }
+  } catch (error) {
+    Logger.error({ event: "onMessageFromChangedHandler", error: error.message });
+    event.completed();
+  }
+}
+
+/**
+ * Handles a new appointment or meeting invite by applying the organizer's signature.
+ * Meetings in a series keep the signature recorded for the series; otherwise rules and the saved default apply.
+ * As for messages, nothing is inserted without a match: the organizer is asked to pick a signature from the ribbon.
+ * @param {Office.AddinCommands.Event} event - The Outlook event object.
+ */
+export async function onNewAppointmentOrganizerHandler(event) {
+  Logger.info({ event: "onNewAppointmentOrganizerHandler" });
+
+  try {
+    const item = Office.context.mailbox.item;
+    const seriesId = await SignatureManager.resolveThreadId(item);
+    let signatureKey = seriesId ? await getSignatureKeyForRecipients(item) : null;
+    let reason = { source: "thread" };
+    if (!signatureKey) {
+      const identity = await SenderIdentity.resolve(item);
+      signatureKey = SenderIdentity.override(identity.emailAddress)?.signatureKey || null;
+      reason = { source: "mailbox", mailbox: identity.emailAddress };
+    }
+    if (!signatureKey) {
+      const ruleMatch = await SignatureRules.evaluate(item);
+      signatureKey = ruleMatch?.signatureKey || null;
+      reason = { source: "rule", rule: ruleMatch?.rule };
+    }
+    if (!signatureKey) {
+      signatureKey = await getDefaultSignatureKey();
+      reason = { source: "default" };
+    }
+
+    if (signatureKey) {
+      Logger.info({
+        event: "onNewAppointmentOrganizerHandler",
+        status: "Auto-applying signature",
+        signatureKey,
+        source: reason.source,
+        seriesId,
+      });
+      await addSignature(signatureKey, event, true, reason);
+    } else {
+      Logger.info({ event: "onNewAppointmentOrganizerHandler", status: "Requiring manual signature selection" });
+      displayNotification("Info", I18n.t("selectFromRibbon"), false);
+      event.completed();
+    }
+  } catch (error) {
+    Logger.error({ event: "onNewAppointmentOrganizerHandler", error: error.message });
+    displayNotification("Info", I18n.t("selectFromRibbon"), false);
+    event.completed();
+  }
+}
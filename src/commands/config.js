@@ -0,0 +1,143 @@
+/**
+ * Runtime configuration shared by the commands runtime and the task pane: API endpoints, the signature catalog,
+ * tenant domains, enforcement options and overrides of the message catalog (see i18n.js).
+ *
+ * Defaults live in config/default.json. The webpack build injects the values of the selected environment
+ * (config/<name>.json) as `process.env.ADDIN_CONFIG`; they are merged over the defaults and validated against
+ * config/schema.json at startup. Invalid values are logged and replaced by their defaults, so a broken configuration
+ * cannot stop mail from being sent.
+ */
+
+import DEFAULT_CONFIG from "../../config/default.json";
+import CONFIG_SCHEMA from "../../config/schema.json";
+import { Logger } from "./logger";
+
+/**
+ * Copies a configuration value.
+ * @param {*} value - A JSON value.
+ * @returns {*} The copy.
+ */
+function clone(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Merges configuration values: objects are merged key by key, arrays and scalars replace the default.
+ * @param {*} defaults - The default value.
+ * @param {*} overrides - The overriding value.
+ * @returns {*} The merged value.
+ */
+function merge(defaults, overrides) {
+  const isObject = (value) => value && typeof value === "object" && !Array.isArray(value);
+  if (!isObject(defaults) || !isObject(overrides)) return overrides === undefined ? defaults : overrides;
+  const merged = { ...defaults };
+  Object.entries(overrides).forEach(([key, value]) => (merged[key] = merge(defaults[key], value)));
+  return merged;
+}
+
+/**
+ * Validates a value against the JSON Schema keywords used by config/schema.json (type, enum, pattern, minLength,
+ * minimum, minItems, required, properties, additionalProperties and items).
+ * @param {*} value - The value.
+ * @param {object} schema - The schema.
+ * @param {Array<string|number>} path - The path of the value, for error reports.
+ * @returns {Array<{path: Array<string|number>, message: string}>} The validation errors.
+ */
+function validate(value, schema, path = []) {
+  const typeOf = (item) => {
+    if (item === null) return "null";
+    if (Array.isArray(item)) return "array";
+    if (Number.isInteger(item)) return "integer";
+    return typeof item;
+  };
+  const error = (message) => [{ path, message }];
+
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    const type = typeOf(value);
+    if (!types.includes(type) && !(type === "integer" && types.includes("number"))) {
+      return error(`must be ${types.join(" or ")}`);
+    }
+  }
+  if (schema.enum && !schema.enum.includes(value)) return error(`must be one of ${schema.enum.join(", ")}`);
+  if (typeof value === "string") {
+    if (schema.minLength && value.length < schema.minLength) return error("must not be empty");
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) return error(`must match ${schema.pattern}`);
+  }
+  if (typeof value === "number" && schema.minimum !== undefined && value < schema.minimum) {
+    return error(`must be at least ${schema.minimum}`);
+  }
+  if (Array.isArray(value)) {
+    if (schema.minItems && value.length < schema.minItems) return error(`must have at least ${schema.minItems} items`);
+    return schema.items ? value.flatMap((item, index) => validate(item, schema.items, [...path, index])) : [];
+  }
+  if (value && typeof value === "object") {
+    const missing = (schema.required || []).filter((key) => value[key] === undefined);
+    const additional = Object.keys(value).filter((key) => !schema.properties?.[key]);
+    const unknown = schema.additionalProperties === false ? additional : [];
+    const additionalSchema = typeof schema.additionalProperties === "object" ? schema.additionalProperties : null;
+    return [
+      ...missing.map((key) => ({ path: [...path, key], message: "is required" })),
+      ...unknown.map((key) => ({ path: [...path, key], message: "is not a known setting" })),
+      ...Object.entries(schema.properties || {})
+        .filter(([key]) => value[key] !== undefined)
+        .flatMap(([key, propertySchema]) => validate(value[key], propertySchema, [...path, key])),
+      ...(additionalSchema ? additional.flatMap((key) => validate(value[key], additionalSchema, [...path, key])) : []),
+    ];
+  }
+  return [];
+}
+
+/**
+ * The validated configuration of the running environment.
+ */
+export const AppConfig = {
+  values: null,
+  errors: [],
+
+  /**
+   * Merges the environment's values over the defaults and validates the result.
+   * @param {object} overrides - The environment's values; defaults to the values injected by the build.
+   * @returns {object} The configuration.
+   */
+  load(overrides = process.env.ADDIN_CONFIG) {
+    const values = merge(clone(DEFAULT_CONFIG), overrides || {});
+    this.errors = validate(values, CONFIG_SCHEMA);
+
+    // Invalid values fall back to their defaults; an invalid array item replaces the whole array.
+    for (const { path } of this.errors) {
+      const index = path.findIndex((segment) => typeof segment === "number");
+      const settingPath = index === -1 ? path : path.slice(0, index);
+      const key = settingPath[settingPath.length - 1];
+      const parent = settingPath.slice(0, -1).reduce((node, segment) => node?.[segment], values);
+      const fallback = settingPath.reduce((node, segment) => node?.[segment], DEFAULT_CONFIG);
+      if (!parent) continue;
+      if (fallback === undefined) {
+        delete parent[key];
+      } else {
+        parent[key] = clone(fallback);
+      }
+    }
+
+    if (this.errors.length) {
+      Logger.error({
+        event: "AppConfig.load",
+        status: "Invalid configuration values replaced by defaults",
+        errors: this.errors.map(({ path, message }) => `${path.join(".")} ${message}`),
+      });
+    }
+    this.values = values;
+    Logger.info({ event: "AppConfig.load", baseUrl: values.api.baseUrl, brand: values.brand.name });
+    return values;
+  },
+
+  /**
+   * Reads a configuration value, loading the configuration on first use.
+   * @param {string} path - The dotted path of the value (e.g., "api.baseUrl").
+   * @returns {*} The value, or undefined if there is none.
+   */
+  get(path) {
+    if (!this.values) this.load();
+    return path.split(".").reduce((node, segment) => node?.[segment], this.values);
+  },
+};
@@ -0,0 +1,23 @@
+/**
+ * Bundled templates used when the signature API is unreachable and nothing is cached, for the signatures in the
+ * configured fallback catalog (`catalog.fallback`, see config.js).
+ * Templates use the same placeholders as the API templates and are rendered by TemplateRenderer.
+ */
+
+/**
+ * Builds a plain branded template for a signature.
+ * @param {string} brandName - The brand shown under the sender's details.
+ * @returns {string} The template HTML.
+ */
+export function buildFallbackTemplate(brandName) {
+  return `<table cellpadding="0" cellspacing="0" style="font-family: Arial, sans-serif; font-size: 10pt; color: #333333;">
+  <tr><td style="font-weight: bold;">{First name} {Last name}{#Pronouns} ({Pronouns}){/Pronouns}</td></tr>
+  {#Title}<tr><td>{Title}</td></tr>{/Title}
+  {#Department}<tr><td>{Department}</td></tr>{/Department}
+  {#Phone}<tr><td>T: {Phone}</td></tr>{/Phone}
+  {#Mobile}<tr><td>M: {Mobile}</td></tr>{/Mobile}
+  <tr><td>E: <a href="mailto:{E-mail}">{E-mail}</a></td></tr>
+  {#Office address}<tr><td>{Office address}</td></tr>{/Office address}
+  <tr><td style="padding-top: 8px; font-weight: bold;">${brandName}</td></tr>
+</table>`;
+}
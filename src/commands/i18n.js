@@ -0,0 +1,125 @@
+/**
+ * Message catalog for the text users see: notifications, Smart Alert messages and the task pane.
+ *
+ * Messages are keyed by id in src/locales/<locale>.json. The locale follows Office's display language; ids missing
+ * from its catalog fall back to English. Deployments can override single messages per locale in the `messages`
+ * section of the configuration. The pseudo-locale "qps-ploc" shows every catalog message accented and bracketed, so
+ * text that was never extracted stands out as plain English.
+ */
+
+import { AppConfig } from "./config";
+import { Logger } from "./logger";
+import de from "../locales/de.json";
+import en from "../locales/en.json";
+import fr from "../locales/fr.json";
+
+const PSEUDO_LOCALE = "qps-ploc";
+const PSEUDO_LETTERS = {
+  a: "á",
+  c: "ç",
+  e: "é",
+  i: "í",
+  n: "ñ",
+  o: "ó",
+  s: "š",
+  u: "ú",
+  y: "ý",
+  A: "Å",
+  C: "Ç",
+  E: "É",
+  I: "Î",
+  N: "Ñ",
+  O: "Ö",
+  S: "Š",
+  U: "Ü",
+  Y: "Ý",
+};
+
+/**
+ * The message catalogs and the active locale.
+ */
+export const I18n = {
+  defaultLocale: "en",
+  locale: "en",
+  catalogs: { de, en, fr },
+
+  /**
+   * Selects the catalog for a display language: an exact match, else its base language, else English.
+   * @param {string} displayLanguage - The language tag (e.g., "de-CH"), usually `Office.context.displayLanguage`.
+   * @returns {string} The selected locale.
+   */
+  init(displayLanguage) {
+    const tag = String(displayLanguage || "").toLowerCase();
+    const base = tag.split("-")[0];
+    if (tag === PSEUDO_LOCALE) {
+      this.locale = PSEUDO_LOCALE;
+    } else if (this.catalogs[tag]) {
+      this.locale = tag;
+    } else if (this.catalogs[base]) {
+      this.locale = base;
+    } else {
+      this.locale = this.defaultLocale;
+    }
+    if (typeof document !== "undefined") {
+      document.documentElement.lang = this.locale === PSEUDO_LOCALE ? this.defaultLocale : this.locale;
+    }
+    Logger.info({ event: "I18n.init", displayLanguage, locale: this.locale });
+    return this.locale;
+  },
+
+  /**
+   * Looks up the text of a message in the active locale, the configured overrides taking precedence.
+   * @param {string} id - The message id.
+   * @param {string} locale - The locale.
+   * @returns {string|undefined} The text, or undefined if the locale has no such message.
+   */
+  lookup(id, locale) {
+    return AppConfig.get("messages")?.[locale]?.[id] ?? this.catalogs[locale]?.[id];
+  },
+
+  /**
+   * Formats a message, filling in `{brand}` and the given values.
+   * @param {string} id - The message id.
+   * @param {Object<string, string|number>} values - Values for the message's other placeholders.
+   * @returns {string} The message.
+   */
+  t(id, values = {}) {
+    const pseudo = this.locale === PSEUDO_LOCALE;
+    let template = (!pseudo && this.lookup(id, this.locale)) || this.lookup(id, this.defaultLocale);
+    if (template === undefined) {
+      Logger.warn({ event: "I18n.t", status: "Unknown message id", id });
+      template = id;
+    } else if (pseudo) {
+      template = this.pseudo(template);
+    }
+    const placeholders = { brand: AppConfig.get("brand.name"), ...values };
+    return template.replace(/\{(\w+)\}/g, (match, name) =>
+      placeholders[name] === undefined ? match : String(placeholders[name])
+    );
+  },
+
+  /**
+   * Accents the letters of a message and brackets it, leaving placeholders intact.
+   * @param {string} text - The message.
+   * @returns {string} The pseudo-localized message.
+   */
+  pseudo(text) {
+    const accented = text
+      .split(/(\{\w+\})/)
+      .map((part) =>
+        /^\{\w+\}$/.test(part) ? part : part.replace(/[A-Za-z]/g, (letter) => PSEUDO_LETTERS[letter] || letter)
+      )
+      .join("");
+    return `[${accented}]`;
+  },
+
+  /**
+   * Replaces the text of the elements marked with a `data-i18n` message id.
+   * @param {ParentNode} root - The element or document to localize.
+   */
+  localize(root) {
+    root.querySelectorAll("[data-i18n]").forEach((element) => {
+      element.textContent = this.t(element.dataset.i18n);
+    });
+  },
+};
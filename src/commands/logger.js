@@ -0,0 +1,244 @@
+/**
+ * Structured logger shared by the commands runtime and the task pane.
+ *
+ * Entries are objects with an `event` name, as elsewhere in the add-in. Each entry is stamped with its level, time
+ * and the correlation id of the compose session, redacted, written to the console when at or above the configured
+ * level, kept in a bounded ring buffer that is persisted to local storage, and optionally sent in batches to an HTTP
+ * collector.
+ */
+
+/** Numeric severities; entries below the configured level are dropped. */
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, off: 100 };
+
+/** Keys whose values hold signature or body markup and are never logged. */
+const REDACTED_KEYS = [
+  "body",
+  "bodyAfterApply",
+  "cachedSignature",
+  "cleanCachedSignature",
+  "cleanLastAppliedSignature",
+  "cleanNewSignature",
+  "extractedSignature",
+  "html",
+  "normalized",
+  "normalizedExtracted",
+  "normalizedSignature",
+  "raw",
+  "rawCachedSignature",
+  "rawLastAppliedSignature",
+  "rawNewSignature",
+  "signature",
+  "storedSubject",
+  "subject",
+  "currentSubject",
+  "template",
+];
+
+/**
+ * Keys whose values list signature changes (see SignatureDiff) or suspicious links (see SignatureLinkPolicy.inspect).
+ * Their removed and added values and link texts hold names, phone numbers and URLs, so only the changed field names
+ * and the link hosts are logged.
+ */
+const SUMMARIZED_KEYS = {
+  changes: (changes) => changes.map((change) => change?.field),
+  resourceChanges: (changes) => changes.map((change) => change?.field),
+  findings: (findings) => findings.map((finding) => ({ reason: finding?.reason, host: finding?.host })),
+};
+
+const EMAIL_PATTERN = /([A-Za-z0-9._%+-])[A-Za-z0-9._%+-]*@([A-Za-z0-9.-]+\.[A-Za-z]{2,})/g;
+
+/**
+ * Creates a random correlation id.
+ * @returns {string} The id.
+ */
+export function createCorrelationId() {
+  if (typeof crypto !== "undefined" && crypto.randomUUID) return crypto.randomUUID();
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+/**
+ * Levelled, redacting logger with a persisted ring buffer and optional batching to a collector.
+ */
+export const Logger = {
+  level: "info",
+  correlationId: null,
+  storage: null,
+  storageKey: "diagnosticLog",
+  bufferSize: 300,
+  buffer: [],
+  endpoint: null,
+  batchSize: 20,
+  flushIntervalMs: 15000,
+  pending: [],
+  flushTimer: null,
+  persistTimer: null,
+
+  /**
+   * Configures the logger and restores the persisted ring buffer.
+   * @param {{level?: string, storage?: object, endpoint?: string|null, bufferSize?: number, batchSize?: number}}
+   *   options - The level, a storage backend (see storage.js) for the ring buffer, and the collector URL.
+   */
+  init({ level, storage, endpoint, bufferSize, batchSize } = {}) {
+    if (level && LEVELS[level] !== undefined) this.level = level;
+    if (storage) this.storage = storage;
+    if (endpoint !== undefined) this.endpoint = endpoint || null;
+    if (bufferSize) this.bufferSize = bufferSize;
+    if (batchSize) this.batchSize = batchSize;
+
+    try {
+      const persisted = JSON.parse(this.storage?.get(this.storageKey) || "[]");
+      if (Array.isArray(persisted)) this.buffer = [...persisted, ...this.buffer].slice(-this.bufferSize);
+    } catch (error) {
+      console.warn({ event: "Logger.init", error: error.message });
+      this.buffer = [];
+    }
+  },
+
+  /**
+   * Sets the correlation id stamped on subsequent entries.
+   * @param {string|null} correlationId - The id of the compose session.
+   */
+  setCorrelationId(correlationId) {
+    this.correlationId = correlationId || null;
+  },
+
+  /**
+   * Logs a debug entry.
+   * @param {object} entry - The entry, with an `event` name.
+   */
+  debug(entry) {
+    this.log("debug", entry);
+  },
+
+  /**
+   * Logs an info entry.
+   * @param {object} entry - The entry, with an `event` name.
+   */
+  info(entry) {
+    this.log("info", entry);
+  },
+
+  /**
+   * Logs a warning entry.
+   * @param {object} entry - The entry, with an `event` name.
+   */
+  warn(entry) {
+    this.log("warn", entry);
+  },
+
+  /**
+   * Logs an error entry.
+   * @param {object} entry - The entry, with an `event` name.
+   */
+  error(entry) {
+    this.log("error", entry);
+  },
+
+  /**
+   * Stamps, redacts and records an entry.
+   * @param {string} level - The level name.
+   * @param {object|string} entry - The entry; a string is logged as the event name.
+   */
+  log(level, entry) {
+    if (LEVELS[level] < LEVELS[this.level]) return;
+
+    const record = {
+      level,
+      time: new Date().toISOString(),
+      correlationId: this.correlationId,
+      ...this.redact(typeof entry === "string" ? { event: entry } : entry),
+    };
+    console[LEVELS[level] >= LEVELS.warn ? level : "log"](record);
+
+    this.buffer.push(record);
+    if (this.buffer.length > this.bufferSize) this.buffer.splice(0, this.buffer.length - this.bufferSize);
+    this.schedulePersist();
+
+    if (this.endpoint) {
+      this.pending.push(record);
+      if (this.pending.length >= this.batchSize) {
+        this.flush();
+      } else if (!this.flushTimer) {
+        this.flushTimer = setTimeout(() => this.flush(), this.flushIntervalMs);
+      }
+    }
+  },
+
+  /**
+   * Removes markup, reduces changes and findings to field names and hosts, and masks e-mail addresses in an entry.
+   * @param {*} value - The entry or a value inside it.
+   * @param {string|null} key - The key the value is stored under.
+   * @returns {*} The redacted copy.
+   */
+  redact(value, key = null) {
+    if (key && REDACTED_KEYS.includes(key) && value) {
+      return typeof value === "string" ? `[redacted ${value.length} chars]` : "[redacted]";
+    }
+    if (key && Object.hasOwn(SUMMARIZED_KEYS, key) && Array.isArray(value)) {
+      return this.redact(SUMMARIZED_KEYS[key](value));
+    }
+    if (typeof value === "string") return value.replace(EMAIL_PATTERN, "$1***@$2");
+    if (value instanceof Error) return { name: value.name, message: this.redact(value.message) };
+    if (Array.isArray(value)) return value.map((item) => this.redact(item));
+    if (value && typeof value === "object") {
+      return Object.fromEntries(Object.entries(value).map(([name, item]) => [name, this.redact(item, name)]));
+    }
+    return value;
+  },
+
+  /**
+   * Persists the ring buffer once the current burst of entries is over.
+   */
+  schedulePersist() {
+    if (!this.storage || this.persistTimer) return;
+    this.persistTimer = setTimeout(() => {
+      this.persistTimer = null;
+      this.storage.set(this.storageKey, JSON.stringify(this.buffer)).catch((error) => {
+        // Diagnostics must never take space from signature data: drop the older half and keep going.
+        console.warn({ event: "Logger.persist", error: error.message });
+        this.buffer = this.buffer.slice(Math.floor(this.buffer.length / 2));
+      });
+    }, 0);
+  },
+
+  /**
+   * Sends the pending entries to the collector. Failed batches are kept, up to one ring buffer's worth.
+   * @returns {Promise<void>} Resolves when the batch was sent or re-queued.
+   */
+  async flush() {
+    clearTimeout(this.flushTimer);
+    this.flushTimer = null;
+    if (!this.endpoint || !this.pending.length) return;
+
+    const batch = this.pending.splice(0, this.pending.length);
+    try {
+      const response = await fetch(this.endpoint, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ entries: batch }),
+        keepalive: true,
+      });
+      if (!response.ok) throw new Error(`Log collector responded with ${response.status}`);
+    } catch (error) {
+      console.warn({ event: "Logger.flush", error: error.message, count: batch.length });
+      this.pending = [...batch, ...this.pending].slice(-this.bufferSize);
+    }
+  },
+
+  /**
+   * Exports the ring buffer for support.
+   * @returns {string} The buffered entries as pretty-printed JSON.
+   */
+  export() {
+    return JSON.stringify(this.buffer, null, 2);
+  },
+
+  /**
+   * Empties the ring buffer and its persisted copy.
+   * @returns {Promise<void>} Resolves when the persisted copy was removed.
+   */
+  clear() {
+    this.buffer = [];
+    return this.storage ? this.storage.remove(this.storageKey) : Promise.resolve();
+  },
+};
@@ -0,0 +1,74 @@
+/**
+ * Entry point of the commands runtime (commands.html): initializes storage, configuration, the message locale, logging
+ * and the audit queue, and associates the ribbon actions and launch-event handlers implemented in commands.js.
+ */
+
+import { ComplianceAudit } from "./audit";
+import {
+  addCompactSignature,
+  addSignatureM2,
+  addSignatureM3,
+  addSignatureMona,
+  addSignatureMorgan,
+  addSignatureMorven,
+  applyDefaultSignature,
+  cancelAction,
+  DraftSignatureState,
+  onMessageFromChangedHandler,
+  onMessageRecipientsChangedHandler,
+  onNewAppointmentOrganizerHandler,
+  onNewMessageComposeHandler,
+  refreshSignatures,
+  validateSignature,
+} from "./commands";
+import { AppConfig } from "./config";
+import { I18n } from "./i18n";
+import { createCorrelationId, Logger } from "./logger";
+import { createRoamingSettingsBackend, SignatureStorage } from "./storage";
+
+/**
+ * Initializes the Outlook add-in and associates event handlers.
+ */
+Office.onReady(async () => {
+  const roamingSettings = Office.context?.roamingSettings;
+  // Handlers are associated only once migrated settings are in place, so they never read empty settings.
+  await SignatureStorage.init({ roaming: roamingSettings ? createRoamingSettingsBackend(roamingSettings) : null });
+  AppConfig.load();
+  Logger.init({
+    level: SignatureStorage.get("logLevel") || AppConfig.get("logging.level"),
+    storage: SignatureStorage.local,
+    endpoint: SignatureStorage.get("logEndpoint") || AppConfig.get("logging.endpoint"),
+  });
+  Logger.info({ event: "Office.onReady", host: Office.context?.mailbox?.diagnostics?.hostName });
+  I18n.init(SignatureStorage.get("locale") || Office.context?.displayLanguage);
+  ComplianceAudit.init();
+
+  const associate = (name, handler) => Office.actions.associate(name, withLogSession(handler));
+  associate("addSignatureMona", addSignatureMona);
+  associate("addSignatureMorgan", addSignatureMorgan);
+  associate("addSignatureMorven", addSignatureMorven);
+  associate("addSignatureM2", addSignatureM2);
+  associate("addSignatureM3", addSignatureM3);
+  associate("addCompactSignature", addCompactSignature);
+  associate("refreshSignatures", refreshSignatures);
+  associate("applyDefaultSignature", applyDefaultSignature);
+  associate("cancelAction", cancelAction);
+  associate("validateSignature", validateSignature);
+  associate("onNewMessageComposeHandler", onNewMessageComposeHandler);
+  associate("onMessageRecipientsChangedHandler", onMessageRecipientsChangedHandler);
+  associate("onMessageFromChangedHandler", onMessageFromChangedHandler);
+  associate("onNewAppointmentOrganizerHandler", onNewAppointmentOrganizerHandler);
+});
+
+/**
+ * Wraps an event handler so its log entries carry the correlation id of the item being composed.
+ * @param {Function} handler - The event handler.
+ * @returns {Function} The wrapped handler.
+ */
+function withLogSession(handler) {
+  return async (event) => {
+    const item = Office.context.mailbox?.item;
+    Logger.setCorrelationId(item ? await DraftSignatureState.correlationId(item) : createCorrelationId());
+    return handler(event);
+  };
+}
@@ -0,0 +1,314 @@
+/**
+ * Storage abstraction shared by the commands runtime and the task pane.
+ *
+ * Values are strings, as with localStorage. Small settings that should follow the user across devices (the default
+ * signature, mailbox overrides, rules, tenant domains, user details and thread mappings) are routed to the roaming
+ * backend; everything else (catalog, templates, rendered signatures) stays in the local backend.
+ */
+
+import { Logger } from "./logger";
+
+/** Keys stored in the roaming backend. */
+const ROAMING_KEYS = [
+  "defaultSignature",
+  "mailboxSignatures",
+  "signatureRules",
+  "signatureThreads",
+  "tenantDomains",
+  "userDetails",
+];
+
+/**
+ * Prefix of the thread entries written to localStorage by earlier versions. They stay in the local backend until
+ * ThreadMappingStore folds them into signatureThreads and removes them.
+ */
+const LEGACY_THREAD_PREFIX = "signatureData_";
+
+/** Local key recording that existing localStorage data has been migrated. */
+const MIGRATION_FLAG = "storageMigrated";
+
+/** Size limit of an add-in's roaming settings in a mailbox. */
+const ROAMING_SETTINGS_MAX_BYTES = 32 * 1024;
+
+/**
+ * Measures a string as UTF-8.
+ * @param {string} text - The text.
+ * @returns {number} The size in bytes.
+ */
+export function byteLength(text) {
+  return new TextEncoder().encode(text).length;
+}
+
+/**
+ * Creates the error a backend rejects with when a value does not fit, named like the Web Storage one.
+ * @param {string} message - The error message.
+ * @returns {Error} The error.
+ */
+function createQuotaError(message) {
+  const error = new Error(message);
+  error.name = "QuotaExceededError";
+  return error;
+}
+
+/**
+ * Creates a backend over window.localStorage.
+ * @param {Storage} storage - The Web Storage object.
+ * @returns {object} The backend.
+ */
+export function createLocalStorageBackend(storage = localStorage) {
+  return {
+    name: "localStorage",
+    get: (key) => storage.getItem(key),
+    set: (key, value) => {
+      try {
+        storage.setItem(key, value);
+      } catch (error) {
+        // Surfaces QuotaExceededError the same way the asynchronous backends report failures.
+        return Promise.reject(error);
+      }
+      return Promise.resolve();
+    },
+    remove: (key) => {
+      storage.removeItem(key);
+      return Promise.resolve();
+    },
+    keys: () => Array.from({ length: storage.length }, (_, index) => storage.key(index)),
+  };
+}
+
+/**
+ * Creates a backend over Office roaming settings. Changes are saved to the mailbox with saveAsync; changes made in
+ * the same tick share one save. A value that would take the settings past their size limit is refused with a
+ * QuotaExceededError, and changes whose save fails are rolled back, so one oversized value never blocks later saves.
+ * @param {Office.RoamingSettings} roamingSettings - The roaming settings object.
+ * @param {number} maxBytes - The size limit of the serialized settings.
+ * @returns {object} The backend.
+ */
+export function createRoamingSettingsBackend(roamingSettings, maxBytes = ROAMING_SETTINGS_MAX_BYTES) {
+  // Roaming settings have no key enumeration, so the stored keys are tracked in an index setting.
+  const indexKey = "__keys";
+  const readIndex = () => roamingSettings.get(indexKey) || [];
+  const restore = (key, value) =>
+    value === undefined || value === null ? roamingSettings.remove(key) : roamingSettings.set(key, value);
+  const size = () =>
+    byteLength(
+      JSON.stringify(Object.fromEntries([indexKey, ...readIndex()].map((key) => [key, roamingSettings.get(key)])))
+    );
+  // Values from before the changes waiting to be saved, restored if the save fails.
+  let previousValues = new Map();
+  const remember = (key, value) => {
+    if (!previousValues.has(key)) previousValues.set(key, value);
+  };
+  let scheduledSave = null;
+  const save = () => {
+    if (!scheduledSave) {
+      scheduledSave = Promise.resolve().then(() => {
+        scheduledSave = null;
+        const rollback = previousValues;
+        previousValues = new Map();
+        return new Promise((resolve, reject) =>
+          roamingSettings.saveAsync((result) => {
+            if (result.status === Office.AsyncResultStatus.Failed) {
+              Logger.error({
+                event: "roamingSettings.saveAsync",
+                error: result.error.message,
+                keys: [...rollback.keys()],
+              });
+              rollback.forEach((value, key) => restore(key, value));
+              const message = result.error.message;
+              reject(/quota|size|exceed|limit/i.test(message) ? createQuotaError(message) : new Error(message));
+              return;
+            }
+            resolve();
+          })
+        );
+      });
+    }
+    return scheduledSave;
+  };
+
+  return {
+    name: "roamingSettings",
+    get: (key) => {
+      const value = roamingSettings.get(key);
+      return value === undefined || value === null ? null : String(value);
+    },
+    set: (key, value) => {
+      const previousValue = roamingSettings.get(key);
+      const previousIndex = readIndex();
+      roamingSettings.set(key, value);
+      if (!previousIndex.includes(key)) roamingSettings.set(indexKey, [...previousIndex, key]);
+
+      const newSize = size();
+      if (newSize > maxBytes) {
+        restore(key, previousValue);
+        roamingSettings.set(indexKey, previousIndex);
+        Logger.warn({ event: "roamingSettings.set", status: "Size limit exceeded", key, size: newSize, maxBytes });
+        return Promise.reject(createQuotaError(`Roaming settings would exceed ${maxBytes} bytes`));
+      }
+      remember(key, previousValue);
+      remember(indexKey, previousIndex);
+      return save();
+    },
+    remove: (key) => {
+      remember(key, roamingSettings.get(key));
+      remember(indexKey, readIndex());
+      roamingSettings.remove(key);
+      roamingSettings.set(
+        indexKey,
+        readIndex().filter((indexedKey) => indexedKey !== key)
+      );
+      return save();
+    },
+    keys: () => readIndex(),
+  };
+}
+
+/**
+ * Creates an in-memory backend, for tests and for hosts without persistent storage.
+ * @param {Object<string, string>} initialValues - Values to start with.
+ * @returns {object} The backend.
+ */
+export function createMemoryBackend(initialValues = {}) {
+  const values = new Map(Object.entries(initialValues));
+  return {
+    name: "memory",
+    get: (key) => (values.has(key) ? values.get(key) : null),
+    set: (key, value) => {
+      values.set(key, String(value));
+      return Promise.resolve();
+    },
+    remove: (key) => {
+      values.delete(key);
+      return Promise.resolve();
+    },
+    keys: () => [...values.keys()],
+  };
+}
+
+/**
+ * Routes reads and writes to the local or roaming backend.
+ */
+export const SignatureStorage = {
+  local: null,
+  roaming: null,
+
+  /**
+   * Configures the backends and migrates roaming keys out of the local backend.
+   * Without a roaming backend, every key is stored locally.
+   * @param {{local?: object, roaming?: object}} backends - The backends to use.
+   * @returns {Promise<void>} Resolves when migrated data has been saved.
+   */
+  init({ local = createLocalStorageBackend(), roaming = null } = {}) {
+    this.local = local;
+    this.roaming = roaming;
+    Logger.info({ event: "SignatureStorage.init", local: local.name, roaming: roaming?.name || null });
+    return this.migrate();
+  },
+
+  /**
+   * Checks whether a key belongs in the roaming backend.
+   * @param {string} key - The storage key.
+   * @returns {boolean} True for roaming keys.
+   */
+  isRoamingKey(key) {
+    return ROAMING_KEYS.includes(key);
+  },
+
+  /**
+   * Gets the backend for a key.
+   * @param {string} key - The storage key.
+   * @returns {object} The backend.
+   */
+  backendFor(key) {
+    if (!this.local) this.local = createLocalStorageBackend();
+    return this.roaming && this.isRoamingKey(key) ? this.roaming : this.local;
+  },
+
+  /**
+   * Reads a value.
+   * @param {string} key - The storage key.
+   * @returns {string|null} The value or null.
+   */
+  get(key) {
+    return this.backendFor(key).get(key);
+  },
+
+  /**
+   * Writes a value.
+   * @param {string} key - The storage key.
+   * @param {string} value - The value.
+   * @returns {Promise<void>} Resolves when the value has been persisted.
+   */
+  set(key, value) {
+    return this.backendFor(key).set(key, value);
+  },
+
+  /**
+   * Removes a value.
+   * @param {string} key - The storage key.
+   * @returns {Promise<void>} Resolves when the removal has been persisted.
+   */
+  remove(key) {
+    return this.backendFor(key).remove(key);
+  },
+
+  /**
+   * Lists the stored keys across backends.
+   * @returns {string[]} The keys.
+   */
+  keys() {
+    if (!this.local) this.local = createLocalStorageBackend();
+    const localKeys = this.local.keys();
+    return this.roaming ? [...new Set([...localKeys, ...this.roaming.keys()])] : localKeys;
+  },
+
+  /**
+   * Moves roaming keys written to localStorage by earlier versions into the roaming backend, once.
+   * Values already present in the roaming backend win over local ones.
+   * @returns {Promise<void>} Resolves when the migrated values have been saved.
+   */
+  async migrate() {
+    if (!this.roaming) return;
+    await this.returnLegacyThreadEntries();
+    if (this.local.get(MIGRATION_FLAG)) return;
+
+    const migratedKeys = this.local.keys().filter((key) => this.isRoamingKey(key));
+    try {
+      await Promise.all(
+        migratedKeys
+          .filter((key) => this.roaming.get(key) === null)
+          .map((key) => this.roaming.set(key, this.local.get(key)))
+      );
+      migratedKeys.forEach((key) => this.local.remove(key));
+      await this.local.set(MIGRATION_FLAG, new Date().toISOString());
+      Logger.info({ event: "SignatureStorage.migrate", status: "Migrated", count: migratedKeys.length });
+    } catch (error) {
+      Logger.error({ event: "SignatureStorage.migrate", error: error.message });
+    }
+  },
+
+  /**
+   * Moves legacy thread entries that an earlier migration copied to the roaming backend back to the local backend,
+   * where they are read and removed.
+   * @returns {Promise<void>} Resolves when the entries have been moved.
+   */
+  async returnLegacyThreadEntries() {
+    const legacyKeys = this.roaming.keys().filter((key) => key.startsWith(LEGACY_THREAD_PREFIX));
+    if (!legacyKeys.length) return;
+    try {
+      for (const key of legacyKeys) {
+        const value = this.roaming.get(key);
+        if (value !== null && this.local.get(key) === null) await this.local.set(key, value);
+      }
+      await Promise.all(legacyKeys.map((key) => this.roaming.remove(key)));
+      Logger.info({
+        event: "SignatureStorage.migrate",
+        status: "Returned legacy thread entries",
+        count: legacyKeys.length,
+      });
+    } catch (error) {
+      Logger.error({ event: "SignatureStorage.migrate", error: error.message });
+    }
+  },
+};
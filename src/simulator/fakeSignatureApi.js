@@ -0,0 +1,129 @@
+/**
+ * Local stand-in for the Ribbons and Signatures APIs, served from the page by intercepting `fetch`.
+ *
+ * Requests to the configured `api.baseUrl` are answered from an in-memory catalog in the shapes the real API uses:
+ * `{ result: [{ name, url }] }` for the Ribbons API and `{ result: template, version }` with an ETag for a template.
+ * Every other request goes to the network as usual. Scenarios can take the API offline, make it fail with an HTTP
+ * status and publish new template versions.
+ */
+
+import { AppConfig } from "../commands/config";
+import { buildFallbackTemplate } from "../commands/fallbackTemplates";
+import { Logger } from "../commands/logger";
+
+/**
+ * Builds the template the fake API serves for a signature: the bundled template with a logo and a website link, so
+ * that image and link changes can be exercised.
+ * @param {string} name - The signature name.
+ * @returns {string} The template HTML.
+ */
+function buildTemplate(name) {
+  const logo = `https://www.m3wind.com/assets/${name.toLowerCase()}-logo.png`;
+  return `${buildFallbackTemplate(name)}
+<p><a href="https://www.m3wind.com/"><img src="${logo}" alt="${name}" width="120" height="40"></a></p>`;
+}
+
+/**
+ * Creates the fake API. reset() fills it with one template per signature of the configured fallback catalog.
+ * @returns {object} The fake API; call install() to start answering requests.
+ */
+export function createFakeSignatureApi() {
+  return {
+    templates: new Map(),
+    requests: [],
+    offline: false,
+    failStatus: null,
+    originalFetch: null,
+
+    /**
+     * Restores the catalog, brings the API back online and clears the request log.
+     */
+    reset() {
+      this.templates = new Map(
+        AppConfig.get("catalog.fallback").map(({ key, name }) => [
+          key,
+          { name, template: buildTemplate(name), version: 1 },
+        ])
+      );
+      this.requests = [];
+      this.offline = false;
+      this.failStatus = null;
+    },
+
+    /**
+     * Starts answering API requests in place of the network.
+     */
+    install() {
+      if (this.originalFetch) return;
+      this.originalFetch = window.fetch;
+      window.fetch = (url, options = {}) => this.fetch(String(url), options);
+    },
+
+    /**
+     * Stops answering API requests.
+     */
+    uninstall() {
+      if (!this.originalFetch) return;
+      window.fetch = this.originalFetch;
+      this.originalFetch = null;
+    },
+
+    /**
+     * Publishes a new version of a template.
+     * @param {string} signatureKey - The signature key.
+     * @param {string} template - The template HTML.
+     */
+    publish(signatureKey, template) {
+      const entry = this.templates.get(signatureKey);
+      this.templates.set(signatureKey, { ...entry, template, version: (entry?.version || 0) + 1 });
+    },
+
+    /**
+     * Answers a request.
+     * @param {string} url - The request URL.
+     * @param {RequestInit} options - The request options.
+     * @returns {Promise<Response>} The response.
+     */
+    async fetch(url, options) {
+      const baseUrl = AppConfig.get("api.baseUrl");
+      if (!url.startsWith(baseUrl)) return this.originalFetch.call(window, url, options);
+
+      this.requests.push({ url, headers: options.headers || {} });
+      if (this.offline) {
+        Logger.debug({ event: "FakeSignatureApi.fetch", status: "Offline", url });
+        throw new TypeError("Failed to fetch");
+      }
+      if (this.failStatus) return new Response("", { status: this.failStatus });
+
+      const path = url.slice(baseUrl.length);
+      const signaturesPath = AppConfig.get("api.signaturesPath");
+      if (path === AppConfig.get("api.ribbonsPath")) {
+        const result = [...this.templates].map(([key, { name }]) => ({ name, url: `${key}.html` }));
+        return this.json({ result });
+      }
+      if (path.startsWith(signaturesPath)) {
+        const signatureKey = decodeURIComponent(path.slice(signaturesPath.length)).replace(/\.html$/, "");
+        const entry = this.templates.get(signatureKey);
+        if (!entry) return new Response("", { status: 404 });
+
+        const etag = `"${signatureKey}-v${entry.version}"`;
+        if (options.headers?.["If-None-Match"] === etag) return new Response(null, { status: 304 });
+        return this.json({ result: entry.template, version: entry.version }, { ETag: etag });
+      }
+      return new Response("", { status: 404 });
+    },
+
+    /**
+     * Creates a JSON response.
+     * @param {object} body - The response body.
+     * @param {Object<string, string>} headers - Extra headers.
+     * @returns {Response} The response.
+     */
+    json(body, headers = {}) {
+      return new Response(JSON.stringify(body), {
+        status: 200,
+        headers: { "Content-Type": "application/json", ...headers },
+      });
+    },
+  };
+}
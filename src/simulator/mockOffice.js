@@ -0,0 +1,593 @@
+/**
+ * In-memory stand-in for the subset of Office.js the add-in uses, so the handlers in commands.js can run in a plain
+ * browser page without Outlook.
+ *
+ * The mock draft keeps the author's text, the signature and the quoted history apart and joins them the way Outlook
+ * on the web does when the body is read: the signature sits in `div#Signature` above the quoted history, which starts
+ * at `#appendonsend`. Callbacks are invoked asynchronously, as in Office.js. Message and appointment compose items are
+ * modelled; appointments have attendees in place of To/Cc/Bcc, an organizer in place of From and a series id.
+ */
+
+/** Office.AsyncResultStatus */
+const AsyncResultStatus = { Succeeded: "succeeded", Failed: "failed" };
+
+/** Office.CoercionType */
+const CoercionType = { Html: "html", Text: "text" };
+
+/**
+ * Splits the trailing optional arguments of an Office.js async method into options and callback.
+ * @param {Array} args - The arguments after the required ones.
+ * @returns {{options: object, callback: function}} The options (empty if omitted) and the callback (a no-op if
+ *   omitted).
+ */
+function asyncArgs(args) {
+  const callback = args.find((arg) => typeof arg === "function") || (() => {});
+  const options = args.find((arg) => arg && typeof arg === "object") || {};
+  return { options, callback };
+}
+
+/**
+ * Converts body HTML to the text Outlook returns for `CoercionType.Text`.
+ * @param {string} html - The HTML.
+ * @returns {string} The text.
+ */
+function htmlToText(html) {
+  const withBreaks = html.replace(/<br\s*\/?>/gi, "\n").replace(/<\/(p|div|tr|h\d|li)>/gi, "$&\n");
+  const text = new DOMParser().parseFromString(withBreaks, "text/html").body.textContent || "";
+  return text.replace(/\n{3,}/g, "\n\n").trim();
+}
+
+/**
+ * Converts text to the HTML Outlook stores when text is set into an HTML body.
+ * @param {string} text - The text.
+ * @returns {string} The HTML.
+ */
+function textToHtml(text) {
+  const escaped = text.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+  return escaped.replace(/\n/g, "<br>");
+}
+
+/**
+ * Creates the mock Office namespace.
+ * @param {{item?: object, userProfile?: object, hostName?: string, displayLanguage?: string,
+ *   mailboxVersion?: string}} options - The compose item (see createMockItem), the signed-in user, the host reported
+ *   by `diagnostics.hostName` ("OutlookWebApp", "Outlook", ...), the display language and the highest supported
+ *   Mailbox requirement set.
+ * @returns {object} The namespace, to be assigned to `window.Office`. Associated actions are kept in
+ *   `actions.handlers`.
+ */
+export function createMockOffice({
+  item = null,
+  userProfile = { displayName: "Jane Doe", emailAddress: "jane.doe@m3wind.com", timeZone: "GMT Standard Time" },
+  hostName = "OutlookWebApp",
+  displayLanguage = "en-US",
+  mailboxVersion = "1.13",
+} = {}) {
+  const roamingValues = new Map();
+  const versionNumber = (version) => version.split(".").map(Number);
+  const isAtMost = (version, maximum) => {
+    const [major, minor = 0] = versionNumber(version);
+    const [maxMajor, maxMinor = 0] = versionNumber(maximum);
+    return major < maxMajor || (major === maxMajor && minor <= maxMinor);
+  };
+
+  return {
+    AsyncResultStatus,
+    CoercionType,
+    MailboxEnums: {
+      ItemType: { Message: "message", Appointment: "appointment" },
+      ItemNotificationMessageType: {
+        InformationalMessage: "informationalMessage",
+        ErrorMessage: "errorMessage",
+        ProgressIndicator: "progressIndicator",
+        InsightMessage: "insightMessage",
+      },
+    },
+    HostType: { Outlook: "Outlook" },
+    PlatformType: { OfficeOnline: "OfficeOnline" },
+
+    /** Settles when the onReady callback has finished (e.g., once register.js has associated its handlers). */
+    ready: Promise.resolve(),
+
+    /**
+     * Resolves at once: the mock has nothing to load.
+     * @param {function} callback - Called with the host information.
+     * @returns {Promise<{host: string, platform: string}>} The host information.
+     */
+    onReady(callback) {
+      const info = { host: "Outlook", platform: "OfficeOnline" };
+      if (callback) this.ready = Promise.resolve(callback(info));
+      return Promise.resolve(info);
+    },
+
+    actions: {
+      handlers: new Map(),
+
+      /**
+       * Records the handler of a ribbon action or launch event.
+       * @param {string} name - The action name from the manifest.
+       * @param {function} handler - The handler.
+       */
+      associate(name, handler) {
+        this.handlers.set(name, handler);
+      },
+    },
+
+    context: {
+      displayLanguage,
+      requirements: {
+        /**
+         * Checks a requirement set; only Mailbox sets up to `mailboxVersion` are supported.
+         * @param {string} name - The requirement set.
+         * @param {string} version - The minimum version.
+         * @returns {boolean} True if supported.
+         */
+        isSetSupported(name, version = "1.1") {
+          return name === "Mailbox" && isAtMost(version, mailboxVersion);
+        },
+      },
+      roamingSettings: {
+        get: (name) => roamingValues.get(name),
+        set: (name, value) => roamingValues.set(name, value),
+        remove: (name) => roamingValues.delete(name),
+        saveAsync: (...args) => {
+          const { callback } = asyncArgs(args);
+          setTimeout(() => callback({ status: AsyncResultStatus.Succeeded, value: null }));
+        },
+      },
+      mailbox: {
+        item,
+        userProfile,
+        diagnostics: { hostName, hostVersion: "mock" },
+      },
+      ui: {
+        closeContainer() {},
+      },
+    },
+  };
+}
+
+/**
+ * Creates a mock message or appointment compose item.
+ *
+ * Besides the Office.js members, the item has a `simulator` object for scenario scripts: it reads the whole body,
+ * edits the signature as a user would, saves the item, lists notifications and makes the next call of a method fail.
+ * @param {{itemType?: string, subject?: string, to?: Array<string|object>, cc?: Array<string|object>,
+ *   bcc?: Array<string|object>, requiredAttendees?: Array<string|object>, optionalAttendees?: Array<string|object>,
+ *   from?: object|null, bodyType?: string, content?: string, quoted?: string, conversationId?: string|null,
+ *   inReplyTo?: string|null, seriesId?: string, itemId?: string|null, sessionData?: boolean}} options - The draft:
+ *   "message" or "appointment", subject, recipients or attendees (addresses or EmailAddressDetails), From account or
+ *   organizer (null for the signed-in user), body format ("html" or "text"), the author's text, quoted reply history,
+ *   thread ids, the series id of a meeting occurrence (empty for a series master), the item id of a saved item and
+ *   whether `sessionData` is available.
+ * @returns {object} The item.
+ */
+export function createMockItem({
+  itemType = "message",
+  subject = "",
+  to = [],
+  cc = [],
+  bcc = [],
+  requiredAttendees = [],
+  optionalAttendees = [],
+  from = null,
+  bodyType = "html",
+  content = "",
+  quoted = "",
+  conversationId = null,
+  inReplyTo = null,
+  seriesId = "",
+  itemId = null,
+  sessionData = true,
+} = {}) {
+  const state = { subject, bodyType, content, quoted, signature: "", from, itemId };
+  const notifications = new Map();
+  const session = new Map();
+  const customProperties = new Map();
+  const failures = new Map();
+
+  /**
+   * Completes an async call, failing it instead if a failure was queued for the method.
+   * @param {string} method - The method path (e.g., "body.setSignatureAsync").
+   * @param {function} callback - The caller's callback.
+   * @param {function} operation - Produces the result value; runs only if the call succeeds.
+   * @param {object} options - The call's options, for `asyncContext`.
+   */
+  const complete = (method, callback, operation, options = {}) => {
+    setTimeout(() => {
+      const failure = failures.get(method);
+      if (failure) {
+        failures.delete(method);
+        callback({
+          status: AsyncResultStatus.Failed,
+          error: { name: "GenericResponseError", message: failure, code: 9002 },
+          asyncContext: options.asyncContext,
+        });
+        return;
+      }
+      callback({ status: AsyncResultStatus.Succeeded, value: operation(), asyncContext: options.asyncContext });
+    });
+  };
+
+  const toDetails = (recipient) =>
+    typeof recipient === "string"
+      ? { emailAddress: recipient, displayName: recipient, recipientType: "other" }
+      : { displayName: recipient.emailAddress, recipientType: "other", ...recipient };
+
+  /**
+   * Creates a mock Recipients field.
+   * @param {string} field - The field name ("to", "cc", "bcc", "requiredAttendees" or "optionalAttendees").
+   * @param {Array<string|object>} initial - The initial recipients.
+   * @returns {object} The field.
+   */
+  const createRecipients = (field, initial) => {
+    let recipients = initial.map(toDetails);
+    return {
+      getAsync: (...args) => {
+        const { options, callback } = asyncArgs(args);
+        complete(`${field}.getAsync`, callback, () => recipients.map((recipient) => ({ ...recipient })), options);
+      },
+      setAsync: (values, ...args) => {
+        const { options, callback } = asyncArgs(args);
+        complete(
+          `${field}.setAsync`,
+          callback,
+          () => {
+            recipients = values.map(toDetails);
+          },
+          options
+        );
+      },
+      addAsync: (values, ...args) => {
+        const { options, callback } = asyncArgs(args);
+        complete(
+          `${field}.addAsync`,
+          callback,
+          () => {
+            recipients = [...recipients, ...values.map(toDetails)];
+          },
+          options
+        );
+      },
+    };
+  };
+
+  /**
+   * Joins the parts of the body in the given format.
+   * @param {string} coercionType - "html" or "text".
+   * @returns {string} The body.
+   */
+  const readBody = (coercionType) => {
+    if (state.bodyType === CoercionType.Text) {
+      const text = [state.content, state.signature, state.quoted].filter(Boolean).join("\n\n");
+      return coercionType === CoercionType.Html ? `<html><body>${textToHtml(text)}</body></html>` : text;
+    }
+    const html =
+      `<html><body><div>${state.content}</div>` +
+      (state.signature ? `<div id="Signature">${state.signature}</div>` : "") +
+      (state.quoted ? `<div id="appendonsend"></div>${state.quoted}` : "") +
+      "</body></html>";
+    return coercionType === CoercionType.Text ? htmlToText(html) : html;
+  };
+
+  /**
+   * Converts inserted data to the body's format.
+   * @param {string} data - The data.
+   * @param {string} coercionType - The data's format.
+   * @returns {string} The data in the body's format.
+   */
+  const toBodyFormat = (data, coercionType = CoercionType.Text) => {
+    if (state.bodyType === CoercionType.Text) return coercionType === CoercionType.Html ? htmlToText(data) : data;
+    return coercionType === CoercionType.Html ? data : textToHtml(data);
+  };
+
+  const properties = {
+    get: (name) => customProperties.get(name),
+    set: (name, value) => customProperties.set(name, value),
+    remove: (name) => customProperties.delete(name),
+    getAll: () => Object.fromEntries(customProperties),
+    saveAsync: (...args) => {
+      const { options, callback } = asyncArgs(args);
+      complete("customProperties.saveAsync", callback, () => null, options);
+    },
+  };
+
+  const sender = {
+    getAsync: (...args) => {
+      const { options, callback } = asyncArgs(args);
+      const profile = Office.context.mailbox.userProfile;
+      complete(
+        itemType === "appointment" ? "organizer.getAsync" : "from.getAsync",
+        callback,
+        () => state.from || { emailAddress: profile.emailAddress, displayName: profile.displayName },
+        options
+      );
+    },
+  };
+
+  const fields =
+    itemType === "appointment"
+      ? {
+          seriesId,
+          requiredAttendees: createRecipients("requiredAttendees", requiredAttendees),
+          optionalAttendees: createRecipients("optionalAttendees", optionalAttendees),
+          organizer: sender,
+        }
+      : {
+          conversationId,
+          inReplyTo,
+          to: createRecipients("to", to),
+          cc: createRecipients("cc", cc),
+          bcc: createRecipients("bcc", bcc),
+          from: sender,
+        };
+
+  return {
+    itemType,
+    ...fields,
+
+    /**
+     * Gets the id of a saved item; fails until the item has been saved, as in Office.js.
+     * @param {function} callback - Called with the item id.
+     */
+    getItemIdAsync(...args) {
+      const { options, callback } = asyncArgs(args);
+      if (!state.itemId) {
+        setTimeout(() =>
+          callback({
+            status: AsyncResultStatus.Failed,
+            error: { name: "ItemNotSaved", message: "The item has not been saved yet.", code: 9054 },
+            asyncContext: options.asyncContext,
+          })
+        );
+        return;
+      }
+      complete("getItemIdAsync", callback, () => state.itemId, options);
+    },
+
+    /**
+     * Saves the item as a draft, giving it an item id.
+     * @param {function} callback - Called with the item id.
+     */
+    saveAsync(...args) {
+      const { options, callback } = asyncArgs(args);
+      complete(
+        "saveAsync",
+        callback,
+        () => {
+          state.itemId = state.itemId || `AAMkSimulatorItem${Date.now()}`;
+          return state.itemId;
+        },
+        options
+      );
+    },
+
+    subject: {
+      getAsync: (...args) => {
+        const { options, callback } = asyncArgs(args);
+        complete("subject.getAsync", callback, () => state.subject, options);
+      },
+      setAsync: (value, ...args) => {
+        const { options, callback } = asyncArgs(args);
+        complete(
+          "subject.setAsync",
+          callback,
+          () => {
+            state.subject = value;
+          },
+          options
+        );
+      },
+    },
+
+    body: {
+      getAsync: (coercionType, ...args) => {
+        const { options, callback } = asyncArgs(args);
+        complete("body.getAsync", callback, () => readBody(coercionType), options);
+      },
+      getTypeAsync: (...args) => {
+        const { options, callback } = asyncArgs(args);
+        complete("body.getTypeAsync", callback, () => state.bodyType, options);
+      },
+      setAsync: (data, ...args) => {
+        const { options, callback } = asyncArgs(args);
+        complete(
+          "body.setAsync",
+          callback,
+          () => {
+            state.content = toBodyFormat(data, options.coercionType);
+            state.signature = "";
+            state.quoted = "";
+          },
+          options
+        );
+      },
+      setSignatureAsync: (data, ...args) => {
+        const { options, callback } = asyncArgs(args);
+        complete(
+          "body.setSignatureAsync",
+          callback,
+          () => {
+            state.signature = toBodyFormat(data, options.coercionType);
+          },
+          options
+        );
+      },
+    },
+
+    notificationMessages: {
+      addAsync: (key, message, ...args) => {
+        const { options, callback } = asyncArgs(args);
+        complete(
+          "notificationMessages.addAsync",
+          callback,
+          () => {
+            notifications.set(key, message);
+          },
+          options
+        );
+      },
+      replaceAsync: (key, message, ...args) => {
+        const { options, callback } = asyncArgs(args);
+        complete(
+          "notificationMessages.replaceAsync",
+          callback,
+          () => {
+            notifications.set(key, message);
+          },
+          options
+        );
+      },
+      removeAsync: (key, ...args) => {
+        const { options, callback } = asyncArgs(args);
+        complete(
+          "notificationMessages.removeAsync",
+          callback,
+          () => {
+            notifications.delete(key);
+          },
+          options
+        );
+      },
+      getAllAsync: (...args) => {
+        const { options, callback } = asyncArgs(args);
+        complete(
+          "notificationMessages.getAllAsync",
+          callback,
+          () => [...notifications].map(([key, message]) => ({ key, ...message })),
+          options
+        );
+      },
+    },
+
+    sessionData: sessionData
+      ? {
+          getAsync: (name, ...args) => {
+            const { options, callback } = asyncArgs(args);
+            complete("sessionData.getAsync", callback, () => session.get(name) ?? "", options);
+          },
+          setAsync: (name, value, ...args) => {
+            const { options, callback } = asyncArgs(args);
+            complete(
+              "sessionData.setAsync",
+              callback,
+              () => {
+                session.set(name, value);
+              },
+              options
+            );
+          },
+          removeAsync: (name, ...args) => {
+            const { options, callback } = asyncArgs(args);
+            complete(
+              "sessionData.removeAsync",
+              callback,
+              () => {
+                session.delete(name);
+              },
+              options
+            );
+          },
+          getAllAsync: (...args) => {
+            const { options, callback } = asyncArgs(args);
+            complete("sessionData.getAllAsync", callback, () => Object.fromEntries(session), options);
+          },
+        }
+      : undefined,
+
+    /**
+     * Loads the draft's custom properties.
+     * @param {function} callback - Called with the CustomProperties object.
+     */
+    loadCustomPropertiesAsync(...args) {
+      const { options, callback } = asyncArgs(args);
+      complete("loadCustomPropertiesAsync", callback, () => properties, options);
+    },
+
+    simulator: {
+      /**
+       * Reads the whole body synchronously.
+       * @param {string} coercionType - "html" or "text".
+       * @returns {string} The body.
+       */
+      body: (coercionType = state.bodyType) => readBody(coercionType),
+
+      /**
+       * Reads the signature block as the add-in last set it or the user edited it.
+       * @returns {string} The signature, empty if there is none.
+       */
+      signature: () => state.signature,
+
+      /**
+       * Edits the signature block, as a user typing in it would.
+       * @param {function(string): string} edit - Receives the signature and returns the edited one.
+       */
+      editSignature: (edit) => {
+        state.signature = edit(state.signature);
+      },
+
+      /** Deletes the signature block. */
+      removeSignature: () => {
+        state.signature = "";
+      },
+
+      /**
+       * Replaces the author's text.
+       * @param {string} value - The text, in the body's format.
+       */
+      type: (value) => {
+        state.content = value;
+      },
+
+      /**
+       * Saves the item with the given id, as the user saving the draft would.
+       * @param {string} itemId - The item id Outlook assigns.
+       */
+      save: (itemId) => {
+        state.itemId = itemId;
+      },
+
+      /**
+       * Changes the From account, as picking another account in the From field would.
+       * @param {{emailAddress: string, displayName: string}|null} account - The account; null for the signed-in user.
+       */
+      setFrom: (account) => {
+        state.from = account;
+      },
+
+      /**
+       * Lists the notification messages shown on the draft.
+       * @returns {Array<{key: string, type: string, message: string}>} The notifications.
+       */
+      notifications: () => [...notifications].map(([key, message]) => ({ key, ...message })),
+
+      /**
+       * Makes the next call of a method fail.
+       * @param {string} method - The method path (e.g., "body.setSignatureAsync").
+       * @param {string} message - The error message.
+       */
+      failNext: (method, message = "Simulated failure") => {
+        failures.set(method, message);
+      },
+    },
+  };
+}
+
+/**
+ * Creates the event object Outlook passes to ribbon actions and launch-event handlers.
+ * @param {string} type - The event or action name (e.g., "OnMessageSend").
+ * @returns {{type: string, source: {id: string}, completed: function, result: Promise<object>}} The event;
+ *   `result` resolves with the options passed to `completed`.
+ */
+export function createMockEvent(type) {
+  let resolveResult;
+  const result = new Promise((resolve) => (resolveResult = resolve));
+  return {
+    type,
+    source: { id: type },
+    completed(options = {}) {
+      resolveResult(options);
+    },
+    result,
+  };
+}
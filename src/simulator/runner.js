@@ -0,0 +1,137 @@
+/**
+ * Drives the add-in against the mock Office namespace and the fake signature API.
+ *
+ * start() installs the mock as `window.Office` and then loads the real commands entry point (register.js), so
+ * handlers are associated exactly as in Outlook and are dispatched by their manifest action names. Each scenario
+ * starts from reset(): empty storage, a fresh catalog and API, and no draft.
+ */
+
+import { SignatureRegistry } from "../commands/commands";
+import { AppConfig } from "../commands/config";
+import { I18n } from "../commands/i18n";
+import { Logger } from "../commands/logger";
+import { createMemoryBackend, SignatureStorage } from "../commands/storage";
+import { createFakeSignatureApi } from "./fakeSignatureApi";
+import { createMockEvent, createMockItem, createMockOffice } from "./mockOffice";
+
+/**
+ * The simulated mailbox session.
+ */
+export const Simulator = {
+  api: null,
+  item: null,
+  checks: [],
+  /** Longest wait for a handler to call `event.completed`; Outlook's own limit is longer. */
+  completionTimeoutMs: 15 * 1000,
+
+  /**
+   * Installs the mock Office namespace and the fake API and loads the commands runtime.
+   * @returns {Promise<void>} Resolves when the handlers have been associated.
+   */
+  async start() {
+    window.Office = createMockOffice();
+    this.api = createFakeSignatureApi();
+    this.api.install();
+    // Evaluated only now, as register.js calls Office.onReady; bundled with the simulator rather than as a chunk.
+    await import(/* webpackMode: "eager" */ "../commands/register");
+    await Office.ready;
+    Logger.info({ event: "Simulator.start", actions: [...Office.actions.handlers.keys()] });
+  },
+
+  /**
+   * Starts a clean session.
+   * @param {{settings?: Object<string, string>, displayLanguage?: string, hostName?: string,
+   *   config?: object}} options - Stored settings to start with (e.g., `defaultSignature`), the display language,
+   *   the host reported by `diagnostics.hostName` and configuration values merged over the defaults.
+   * @returns {Promise<void>} Resolves when the settings have been stored.
+   */
+  async reset({ settings = {}, displayLanguage = "en-US", hostName = "OutlookWebApp", config = {} } = {}) {
+    Office.context.displayLanguage = displayLanguage;
+    Office.context.mailbox.diagnostics.hostName = hostName;
+    Office.context.mailbox.item = null;
+    this.item = null;
+    this.checks = [];
+
+    await SignatureStorage.init({ local: createMemoryBackend(), roaming: createMemoryBackend() });
+    await Promise.all(Object.entries(settings).map(([key, value]) => SignatureStorage.set(key, value)));
+    AppConfig.load({ ...process.env.ADDIN_CONFIG, ...config });
+    I18n.init(displayLanguage);
+    SignatureRegistry.entries = null;
+    this.api.reset();
+  },
+
+  /**
+   * Opens a draft, as clicking New mail or Reply would.
+   * @param {object} options - The draft (see createMockItem).
+   * @returns {object} The mock item.
+   */
+  compose(options = {}) {
+    this.item = createMockItem(options);
+    Office.context.mailbox.item = this.item;
+    return this.item;
+  },
+
+  /**
+   * Runs an associated handler and waits for it to complete.
+   * @param {string} action - The action name from the manifest (e.g., "validateSignature").
+   * @returns {Promise<object>} The options passed to `event.completed`.
+   * @throws {Error} If the action is not associated or the handler does not complete in time.
+   */
+  async dispatch(action) {
+    const handler = Office.actions.handlers.get(action);
+    if (!handler) throw new Error(`No handler is associated with ${action}`);
+
+    const event = createMockEvent(action);
+    let timeoutId;
+    const timeout = new Promise((resolve, reject) => {
+      timeoutId = setTimeout(
+        () => reject(new Error(`${action} did not call event.completed within ${this.completionTimeoutMs} ms`)),
+        this.completionTimeoutMs
+      );
+    });
+    try {
+      await Promise.race([handler(event), timeout]);
+      const options = await Promise.race([event.result, timeout]);
+      // Lets calls the handler made without waiting for them (notifications) complete.
+      await new Promise((resolve) => setTimeout(resolve));
+      Logger.info({ event: "Simulator.dispatch", action, options });
+      return options;
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  },
+
+  /**
+   * Records the outcome of a scenario check.
+   * @param {boolean} passed - Whether the check passed.
+   * @param {string} description - What was checked.
+   * @returns {boolean} The outcome.
+   */
+  check(passed, description) {
+    this.checks.push({ passed: Boolean(passed), description });
+    return Boolean(passed);
+  },
+
+  /**
+   * Runs a scenario from a clean session.
+   * @param {{id: string, title: string, setup?: object, run: function}} scenario - The scenario; `setup` is passed
+   *   to reset() and `run` receives the simulator.
+   * @returns {Promise<{id: string, title: string, passed: boolean, checks: Array<object>, error: string|null,
+   *   durationMs: number}>} The result.
+   */
+  async run(scenario) {
+    const startedAt = Date.now();
+    let error = null;
+    try {
+      await this.reset(scenario.setup);
+      Logger.info({ event: "Simulator.run", scenario: scenario.id });
+      await scenario.run(this);
+    } catch (runError) {
+      error = runError.message;
+      Logger.error({ event: "Simulator.run", scenario: scenario.id, error });
+    }
+    const checks = this.checks;
+    const passed = !error && checks.length > 0 && checks.every((check) => check.passed);
+    return { id: scenario.id, title: scenario.title, passed, checks, error, durationMs: Date.now() - startedAt };
+  },
+};
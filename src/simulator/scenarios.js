@@ -0,0 +1,327 @@
+/**
+ * Scenario scripts for the simulator. Each scenario starts from a clean session (see Simulator.reset, which receives
+ * `setup`), opens a draft, dispatches handlers by their manifest action names and records checks on the draft and
+ * on the options passed to `event.completed`.
+ */
+
+import { ThreadMappingStore } from "../commands/commands";
+import { I18n } from "../commands/i18n";
+
+/** An external recipient; send-time enforcement applies to it. */
+const EXTERNAL_RECIPIENT = "client@contoso.com";
+
+/** Setup with a saved default signature. */
+const WITH_DEFAULT = { settings: { defaultSignature: "m3Signature" } };
+
+/** Quoted history of a reply, as Outlook on the web inserts it. */
+const REPLY_HISTORY =
+  `<div id="divRplyFwdMsg"><b>From:</b> Client &lt;${EXTERNAL_RECIPIENT}&gt;</div>` +
+  "<p>Could you send the figures?</p>";
+
+/** Item id Outlook gives the series master once it is saved; its occurrences carry it as their seriesId. */
+const SERIES_MASTER_ID = "AAMkSeriesMaster";
+
+/**
+ * Reads the fingerprint stamped on an HTML signature.
+ * @param {string} signature - The signature block.
+ * @returns {string|null} The fingerprint, or null if the signature is not stamped.
+ */
+function fingerprintOf(signature) {
+  return signature.match(/data-m3-fingerprint="(\w+)"/)?.[1] || null;
+}
+
+/**
+ * Opens a new email to an external recipient.
+ * @param {object} sim - The simulator.
+ * @param {object} options - Draft options overriding the defaults (see createMockItem).
+ * @returns {object} The mock item.
+ */
+function composeNewEmail(sim, options = {}) {
+  return sim.compose({ subject: "Quarterly figures", to: [EXTERNAL_RECIPIENT], content: "<p>Hello,</p>", ...options });
+}
+
+/**
+ * Opens a reply to an external sender.
+ * @param {object} sim - The simulator.
+ * @param {object} options - Draft options overriding the defaults (see createMockItem).
+ * @returns {object} The mock item.
+ */
+function composeReply(sim, options = {}) {
+  return sim.compose({
+    subject: "RE: Quarterly figures",
+    to: [EXTERNAL_RECIPIENT],
+    content: "<p>Here they are.</p>",
+    quoted: REPLY_HISTORY,
+    conversationId: "AAQkSimulatorConversation1",
+    ...options,
+  });
+}
+
+export const SCENARIOS = [
+  {
+    id: "new-email-default",
+    title: "New email: the saved default signature is inserted",
+    setup: WITH_DEFAULT,
+    async run(sim) {
+      const item = composeNewEmail(sim);
+      await sim.dispatch("onNewMessageComposeHandler");
+      const signature = item.simulator.signature();
+      sim.check(signature.includes('data-m3-signature="m3Signature"'), "The M3 signature is inserted and stamped");
+      sim.check(signature.includes("<img"), "New emails get the full variant, with the logo");
+      sim.check(
+        item.simulator.notifications().some((notification) => notification.type === "informationalMessage"),
+        "An informational notification names the applied signature"
+      );
+    },
+  },
+  {
+    id: "new-email-no-default",
+    title: "New email without a default: the user is asked to pick a signature",
+    async run(sim) {
+      const item = composeNewEmail(sim);
+      await sim.dispatch("onNewMessageComposeHandler");
+      sim.check(!item.simulator.signature(), "No signature is inserted");
+      sim.check(
+        item.simulator.notifications().some(({ message }) => message === I18n.t("selectFromRibbon")),
+        "The notification asks for a signature from the ribbon"
+      );
+    },
+  },
+  {
+    id: "ribbon-actions",
+    title: "Ribbon: picking a signature replaces the current one",
+    async run(sim) {
+      const item = composeNewEmail(sim);
+      await sim.dispatch("addSignatureMona");
+      sim.check(item.simulator.signature().includes('data-m3-signature="monaSignature"'), "Mona is inserted");
+      await sim.dispatch("addSignatureM2");
+      const signature = item.simulator.signature();
+      sim.check(signature.includes('data-m3-signature="m2Signature"'), "M2 replaces it");
+      sim.check(!signature.includes("monaSignature"), "Only one signature is left");
+    },
+  },
+  {
+    id: "send-unmodified",
+    title: "Send: an unmodified signature is allowed",
+    setup: WITH_DEFAULT,
+    async run(sim) {
+      composeNewEmail(sim);
+      await sim.dispatch("onNewMessageComposeHandler");
+      const result = await sim.dispatch("validateSignature");
+      sim.check(result.allowEvent === true, "The send is allowed");
+    },
+  },
+  {
+    id: "send-modified",
+    title: "Send: a modified signature is blocked and restored",
+    setup: WITH_DEFAULT,
+    async run(sim) {
+      const item = composeNewEmail(sim);
+      await sim.dispatch("onNewMessageComposeHandler");
+      const original = item.simulator.signature();
+      item.simulator.editSignature((signature) => signature.replace("m3-logo.png", "my-own-logo.png"));
+
+      const result = await sim.dispatch("validateSignature");
+      sim.check(result.allowEvent === false, "The send is blocked");
+      sim.check(result.errorMessage?.includes(I18n.t("fieldImages")), "The Smart Alert names the changed images");
+      sim.check(result.errorMessageMarkdown?.includes(I18n.t("whatChanged")), "The details list what changed");
+      const restored = item.simulator.signature();
+      sim.check(fingerprintOf(restored) === fingerprintOf(original), "The original signature is restored");
+      sim.check(!restored.includes("my-own-logo.png"), "The edited logo is gone");
+    },
+  },
+  {
+    id: "send-phishing-link",
+    title: "Send: a link pointed at another site is reported as suspicious",
+    setup: WITH_DEFAULT,
+    async run(sim) {
+      const item = composeNewEmail(sim);
+      await sim.dispatch("onNewMessageComposeHandler");
+      item.simulator.editSignature((signature) =>
+        signature.replace('href="https://www.m3wind.com/"', 'href="https://m3wind-login.example/"')
+      );
+
+      const result = await sim.dispatch("validateSignature");
+      sim.check(result.allowEvent === false, "The send is blocked");
+      sim.check(result.errorMessage?.includes("m3wind-login.example"), "The Smart Alert names the suspicious host");
+      sim.check(!item.simulator.signature().includes("m3wind-login.example"), "The original link is restored");
+    },
+  },
+  {
+    id: "send-tracking-pixel",
+    title: "Send: an added tracking pixel is blocked and its host reported",
+    setup: WITH_DEFAULT,
+    async run(sim) {
+      const item = composeNewEmail(sim);
+      await sim.dispatch("onNewMessageComposeHandler");
+      item.simulator.editSignature((signature) =>
+        signature.replace("</div>", '<img src="https://tracker.example/open.gif?id=42" width="1" height="1"></div>')
+      );
+
+      const result = await sim.dispatch("validateSignature");
+      sim.check(result.allowEvent === false, "The send is blocked");
+      sim.check(result.errorMessage?.includes("tracker.example"), "The Smart Alert names the image host");
+      sim.check(!item.simulator.signature().includes("tracker.example"), "The pixel is gone");
+    },
+  },
+  {
+    id: "send-missing",
+    title: "Send: a deleted signature is blocked",
+    setup: WITH_DEFAULT,
+    async run(sim) {
+      const item = composeNewEmail(sim);
+      await sim.dispatch("onNewMessageComposeHandler");
+      item.simulator.removeSignature();
+
+      const result = await sim.dispatch("validateSignature");
+      sim.check(result.allowEvent === false, "The send is blocked");
+      sim.check(result.errorMessage === I18n.t("missingSignature"), "The Smart Alert reports the missing signature");
+      sim.check(result.errorMessageMarkdown?.includes(I18n.t("tipMissing")), "The tip points to the ribbon");
+    },
+  },
+  {
+    id: "reply-compact",
+    title: "Reply: the compact variant is inserted above the quoted history",
+    setup: WITH_DEFAULT,
+    async run(sim) {
+      const item = composeReply(sim);
+      await sim.dispatch("onNewMessageComposeHandler");
+      const signature = item.simulator.signature();
+      sim.check(signature.includes('data-m3-signature="m3Signature"'), "The M3 signature is inserted");
+      sim.check(!signature.includes("<img"), "Replies get the compact variant, without the logo");
+      const body = item.simulator.body();
+      sim.check(body.indexOf("data-m3-signature") < body.indexOf("divRplyFwdMsg"), "It sits above the history");
+
+      const result = await sim.dispatch("validateSignature");
+      sim.check(result.allowEvent === true, "The send is allowed");
+    },
+  },
+  {
+    id: "reply-modified",
+    title: "Reply: a modified signature is blocked and the compact variant restored",
+    setup: WITH_DEFAULT,
+    async run(sim) {
+      const item = composeReply(sim);
+      await sim.dispatch("onNewMessageComposeHandler");
+      const original = item.simulator.signature();
+      item.simulator.editSignature((signature) => signature.replace("M3", "M3 Wind (ask me about our offers)"));
+
+      const result = await sim.dispatch("validateSignature");
+      sim.check(result.allowEvent === false, "The send is blocked");
+      const restored = item.simulator.signature();
+      sim.check(fingerprintOf(restored) === fingerprintOf(original), "The compact signature is restored");
+      sim.check(!restored.includes("ask me about our offers"), "The added text is gone");
+    },
+  },
+  {
+    id: "restore-failure",
+    title: "Send: a failed restore is reported in the Smart Alert",
+    setup: WITH_DEFAULT,
+    async run(sim) {
+      const item = composeNewEmail(sim);
+      await sim.dispatch("onNewMessageComposeHandler");
+      item.simulator.editSignature((signature) => signature.replace("m3-logo.png", "my-own-logo.png"));
+      item.simulator.failNext("body.setSignatureAsync", "The item is locked");
+
+      const result = await sim.dispatch("validateSignature");
+      sim.check(result.allowEvent === false, "The send is blocked");
+      sim.check(result.errorMessage?.includes(I18n.t("restoreFailed")), "The Smart Alert says restoring failed");
+      sim.check(result.errorMessageMarkdown?.includes(I18n.t("restoreFailedNote")), "It asks to reselect");
+    },
+  },
+  {
+    id: "api-offline",
+    title: "Signature API offline: the bundled template is used",
+    async run(sim) {
+      sim.api.offline = true;
+      const item = composeNewEmail(sim);
+      await sim.dispatch("addSignatureM2");
+      sim.check(item.simulator.signature().includes('data-m3-signature="m2Signature"'), "M2 is inserted");
+      sim.check(
+        item.simulator.notifications().some(({ message }) => message === I18n.t("offlineCopy", { signature: "M2" })),
+        "The notification mentions the offline copy"
+      );
+    },
+  },
+  {
+    id: "plain-text",
+    title: "Plain-text draft: the text signature is inserted and validated",
+    setup: WITH_DEFAULT,
+    async run(sim) {
+      const item = composeNewEmail(sim, { bodyType: "text", content: "Hello," });
+      await sim.dispatch("onNewMessageComposeHandler");
+      const signature = item.simulator.signature();
+      sim.check(signature && !signature.includes("<"), "A text signature is inserted");
+
+      let result = await sim.dispatch("validateSignature");
+      sim.check(result.allowEvent === true, "The unmodified signature is allowed");
+
+      item.simulator.editSignature((text) => text.replace("M3", "M3 Wind"));
+      result = await sim.dispatch("validateSignature");
+      sim.check(result.allowEvent === false, "The modified signature is blocked");
+    },
+  },
+  {
+    id: "internal-exempt",
+    title: "Internal mail is exempt when enforcement allows it",
+    setup: { config: { tenantDomains: ["m3wind.com"], enforcement: { exemptInternalMail: true } } },
+    async run(sim) {
+      composeNewEmail(sim, { to: ["colleague@m3wind.com"] });
+      const result = await sim.dispatch("validateSignature");
+      sim.check(result.allowEvent === true, "The send is allowed without a signature");
+    },
+  },
+  {
+    id: "appointment-series",
+    title: "Meeting series: occurrences keep the signature picked on the saved series master",
+    async run(sim) {
+      const attendees = [EXTERNAL_RECIPIENT];
+      const master = sim.compose({ itemType: "appointment", subject: "Weekly sync", requiredAttendees: attendees });
+      await sim.dispatch("addSignatureMorven");
+      sim.check(
+        master.simulator.signature().includes('data-m3-signature="morvenSignature"'),
+        "Morven is inserted on the series master"
+      );
+      sim.check(
+        !ThreadMappingStore.load().some(({ conversationId }) => conversationId?.startsWith("series:")),
+        "The unsaved master is not tracked under an empty series id"
+      );
+
+      master.simulator.save(SERIES_MASTER_ID);
+      await sim.dispatch("addSignatureMorven");
+      sim.check(
+        ThreadMappingStore.load().some(
+          ({ conversationId, signature }) =>
+            conversationId === `series:${SERIES_MASTER_ID}` && signature === "morvenSignature"
+        ),
+        "The saved master is tracked under its item id"
+      );
+
+      const occurrence = sim.compose({
+        itemType: "appointment",
+        subject: "Weekly sync (moved)",
+        requiredAttendees: ["colleague@m3wind.com"],
+        seriesId: SERIES_MASTER_ID,
+      });
+      await sim.dispatch("onNewAppointmentOrganizerHandler");
+      sim.check(
+        occurrence.simulator.signature().includes('data-m3-signature="morvenSignature"'),
+        "An occurrence gets the series signature"
+      );
+    },
+  },
+  {
+    id: "localized-alert",
+    title: "Smart Alerts follow the display language",
+    setup: { ...WITH_DEFAULT, displayLanguage: "de-DE" },
+    async run(sim) {
+      const item = composeNewEmail(sim);
+      await sim.dispatch("onNewMessageComposeHandler");
+      item.simulator.removeSignature();
+
+      const result = await sim.dispatch("validateSignature");
+      sim.check(I18n.locale === "de", "The German catalog is selected");
+      sim.check(result.errorMessage === I18n.t("missingSignature"), "The Smart Alert is in German");
+    },
+  },
+];
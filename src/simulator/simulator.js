@@ -0,0 +1,185 @@
+/**
+ * Harness page for the simulator: runs the scenario scripts and lets a developer drive a draft by hand (open a new
+ * email or a reply, dispatch ribbon actions and launch events, edit the signature block and send).
+ */
+
+import { Logger } from "../commands/logger";
+import { Simulator } from "./runner";
+import { SCENARIOS } from "./scenarios";
+
+/** Number of log entries shown under the draft. */
+const LOG_LINES = 60;
+
+// Exposed for the browser console and for scripted runs (e.g., a headless browser reading `simulatorResults`).
+window.Simulator = Simulator;
+
+Simulator.start()
+  .then(async () => {
+    buildScenarioList(document.getElementById("scenarioList"));
+
+    const actionSelect = document.getElementById("actionSelect");
+    for (const action of Office.actions.handlers.keys()) {
+      actionSelect.append(new Option(action, action));
+    }
+
+    document.getElementById("runAllButton").addEventListener("click", () => runScenarios(SCENARIOS));
+    document.getElementById("newEmailButton").addEventListener("click", () => openDraft(false));
+    document.getElementById("replyButton").addEventListener("click", () => openDraft(true));
+    document.getElementById("offlineOption").addEventListener("change", (event) => {
+      Simulator.api.offline = event.target.checked;
+    });
+    document.getElementById("dispatchButton").addEventListener("click", () => dispatch(actionSelect.value));
+    document.getElementById("sendButton").addEventListener("click", () => dispatch("validateSignature"));
+    document.getElementById("editButton").addEventListener("click", () => {
+      if (!Simulator.item) return;
+      const edited = document.getElementById("signatureSource").value;
+      Simulator.item.simulator.editSignature(() => edited);
+      render();
+    });
+
+    await Simulator.reset();
+    render();
+  })
+  .catch((error) => {
+    Logger.error({ event: "Simulator.start", error: error.message });
+  });
+
+/**
+ * Lists the scenarios with a button to run each one.
+ * @param {HTMLElement} container - The list element.
+ */
+function buildScenarioList(container) {
+  for (const scenario of SCENARIOS) {
+    const row = document.createElement("div");
+    row.className = "scenario";
+    row.id = `scenario-${scenario.id}`;
+    const title = document.createElement("div");
+    title.className = "scenario-title";
+    const name = document.createElement("span");
+    name.textContent = scenario.title;
+    const status = document.createElement("span");
+    status.className = "scenario-status";
+    const button = document.createElement("button");
+    button.textContent = "Run";
+    button.addEventListener("click", () => runScenarios([scenario]));
+    title.append(name, status, button);
+    const checks = document.createElement("ul");
+    checks.className = "checks";
+    row.append(title, checks);
+    container.append(row);
+  }
+}
+
+/**
+ * Runs scenarios one after the other and shows their results; the draft of the last one stays open for inspection.
+ * @param {Array<object>} scenarios - The scenarios.
+ * @returns {Promise<Array<object>>} The results (see Simulator.run).
+ */
+async function runScenarios(scenarios) {
+  const buttons = document.querySelectorAll("button");
+  buttons.forEach((button) => (button.disabled = true));
+  const results = [];
+  for (const scenario of scenarios) {
+    const result = await Simulator.run(scenario);
+    results.push(result);
+    showResult(result);
+    render();
+  }
+  buttons.forEach((button) => (button.disabled = false));
+
+  const passed = results.filter((result) => result.passed).length;
+  document.getElementById("summary").textContent = `${passed} of ${results.length} passed`;
+  Logger.info({ event: "runScenarios", passed, failed: results.length - passed });
+  window.simulatorResults = results;
+  return results;
+}
+
+/**
+ * Shows the result of a scenario in its row.
+ * @param {{id: string, passed: boolean, checks: Array<object>, error: string|null, durationMs: number}} result -
+ *   The result.
+ */
+function showResult(result) {
+  const row = document.getElementById(`scenario-${result.id}`);
+  row.classList.toggle("passed", result.passed);
+  row.classList.toggle("failed", !result.passed);
+  row.querySelector(".scenario-status").textContent =
+    `${result.passed ? "Passed" : "Failed"} (${result.durationMs} ms)`;
+
+  const checks = row.querySelector(".checks");
+  checks.replaceChildren();
+  const lines = result.checks.map(({ passed, description }) => ({
+    passed,
+    text: `${passed ? "✓" : "✗"} ${description}`,
+  }));
+  if (result.error) lines.push({ passed: false, text: `Error: ${result.error}` });
+  for (const { passed, text } of lines) {
+    const line = document.createElement("li");
+    line.textContent = text;
+    if (!passed) line.className = "failed";
+    checks.append(line);
+  }
+}
+
+/**
+ * Opens a draft by hand, keeping the stored settings of the session.
+ * @param {boolean} isReply - Whether to open a reply with quoted history.
+ */
+function openDraft(isReply) {
+  const plainText = document.getElementById("plainTextOption").checked;
+  Simulator.compose({
+    subject: isReply ? "RE: Quarterly figures" : "Quarterly figures",
+    to: ["client@contoso.com"],
+    bodyType: plainText ? "text" : "html",
+    content: plainText ? "Hello," : "<p>Hello,</p>",
+    quoted: isReply
+      ? plainText
+        ? "From: Client\nCould you send the figures?"
+        : "<p>Could you send the figures?</p>"
+      : "",
+    conversationId: isReply ? `AAQkSimulator${Date.now()}` : null,
+  });
+  render();
+}
+
+/**
+ * Dispatches an action to the open draft and shows what the handler passed to `event.completed`.
+ * @param {string} action - The action name.
+ * @returns {Promise<void>} Resolves when the handler has completed.
+ */
+async function dispatch(action) {
+  if (!Simulator.item) openDraft(false);
+  const output = document.getElementById("completedOptions");
+  output.textContent = `${action}…`;
+  try {
+    const options = await Simulator.dispatch(action);
+    output.textContent = `${action}\n${JSON.stringify(options, null, 2)}`;
+  } catch (error) {
+    output.textContent = `${action}\n${error.message}`;
+  }
+  render();
+}
+
+/**
+ * Shows the draft, its notifications and the latest log entries.
+ */
+function render() {
+  const item = Simulator.item;
+  const notifications = document.getElementById("notifications");
+  notifications.replaceChildren();
+  for (const { type, message } of item ? item.simulator.notifications() : []) {
+    const notification = document.createElement("div");
+    notification.className = `notification ${type}`;
+    notification.textContent = message;
+    notifications.append(notification);
+  }
+
+  // Shown as HTML even for plain-text drafts, the way Outlook renders them.
+  document.getElementById("draftBody").srcdoc = item ? item.simulator.body("html") : "";
+  document.getElementById("signatureSource").value = item ? item.simulator.signature() : "";
+
+  document.getElementById("log").textContent = Logger.buffer
+    .slice(-LOG_LINES)
+    .map(({ time, level, event, status, error }) => `${time} ${level.toUpperCase()} ${event} ${status || error || ""}`)
+    .join("\n");
+}
@@ -0,0 +1,236 @@
+import {
+  addSignature,
+  DraftSignatureState,
+  fetchSignature,
+  getFallbackTemplate,
+  getUserDetails,
+  SenderIdentity,
+  SignatureCache,
+  SignatureRegistry,
+  TemplateRenderer,
+} from "../commands/commands";
+import { AppConfig } from "../commands/config";
+import { I18n } from "../commands/i18n";
+import { Logger } from "../commands/logger";
+import { createRoamingSettingsBackend, SignatureStorage } from "../commands/storage";
+
+Office.onReady()
+  .then(async (info) => {
+    const roamingSettings = Office.context.roamingSettings;
+    await SignatureStorage.init({ roaming: roamingSettings ? createRoamingSettingsBackend(roamingSettings) : null });
+    AppConfig.load();
+    Logger.init({
+      level: SignatureStorage.get("logLevel") || AppConfig.get("logging.level"),
+      storage: SignatureStorage.local,
+      endpoint: SignatureStorage.get("logEndpoint") || AppConfig.get("logging.endpoint"),
+    });
+    Logger.info({
+      event: "Office.onReady",
+      host: info.host,
+      platform: info.platform,
+      apiVersion: Office.context.requirements.isSetSupported("Mailbox", "1.8"),
+    });
+    I18n.init(SignatureStorage.get("locale") || Office.context.displayLanguage);
+    document.title = I18n.t("pageTitle");
+    I18n.localize(document);
+
+    const item = Office.context.mailbox?.item;
+    const canInsert = Boolean(item?.body?.setSignatureAsync);
+    if (canInsert) Logger.setCorrelationId(await DraftSignatureState.correlationId(item));
+
+    // Build the preview gallery
+    await buildGallery(document.getElementById("signatureOptions"), item);
+
+    // Load saved settings
+    const defaultSignature = SignatureStorage.get("defaultSignature");
+    if (defaultSignature) {
+      const selectedRadio = document.querySelector(`input[value="${defaultSignature}"]`);
+      if (selectedRadio) {
+        selectedRadio.checked = true;
+      }
+    }
+
+    // Add click handler for entire choice field
+    document.querySelectorAll(".choice-field").forEach((field) => {
+      field.addEventListener("click", (e) => {
+        const radio = field.querySelector('input[type="radio"]');
+        if (radio && e.target !== radio) {
+          radio.checked = true;
+        }
+      });
+    });
+
+    // Save settings handler
+    document.getElementById("saveButton").addEventListener("click", async () => {
+      const selectedRadio = document.querySelector('input[name="signatureOption"]:checked');
+      if (!selectedRadio) {
+        alert(I18n.t("selectSignatureOption"));
+        return;
+      }
+
+      const signatureKey = selectedRadio.value;
+      try {
+        await SignatureStorage.set("defaultSignature", signatureKey);
+      } catch (error) {
+        Logger.error({ event: "saveDefaultSignature", error: error.message });
+      }
+
+      if (Office.context.ui.messageParent) {
+        Office.context.ui.messageParent(signatureKey);
+        Logger.info({ event: "messageParent", message: signatureKey });
+      } else {
+        // Fallback for task pane
+        Logger.info({ event: "closeContainerAttempt" });
+        try {
+          Office.context.ui.closeContainer();
+        } catch (e) {
+          Logger.error({ event: "closeContainerError", error: e.message });
+        }
+      }
+    });
+
+    // Insert handler, for task panes opened from a draft
+    const insertButton = document.getElementById("insertButton");
+    insertButton.hidden = !canInsert;
+    insertButton.addEventListener("click", async () => {
+      const selectedRadio = document.querySelector('input[name="signatureOption"]:checked');
+      if (!selectedRadio) {
+        alert(I18n.t("selectSignatureOption"));
+        return;
+      }
+
+      insertButton.disabled = true;
+      Logger.info({ event: "insertSignature", signatureKey: selectedRadio.value });
+      await new Promise((resolve) => addSignature(selectedRadio.value, { completed: resolve }));
+      insertButton.disabled = false;
+    });
+
+    // Copies the diagnostic log for support tickets
+    document.getElementById("copyLogButton").addEventListener("click", async () => {
+      Logger.flush();
+      try {
+        await navigator.clipboard.writeText(Logger.export());
+        Logger.info({ event: "copyDiagnosticLog", count: Logger.buffer.length });
+      } catch (error) {
+        Logger.error({ event: "copyDiagnosticLog", error: error.message });
+        alert(I18n.t("copyLogFailed"));
+      }
+    });
+  })
+  .catch((error) => {
+    Logger.error({ event: "Office.onReady", error: error.message });
+  });
+
+/**
+ * Fills the gallery with one card per catalog signature: a radio button to select it and a rendered preview.
+ * Previews load in the background; the cards can be selected straight away.
+ * @param {HTMLElement} container - The gallery element.
+ * @param {Office.MessageCompose|undefined} item - The draft the task pane was opened from, if any.
+ * @returns {Promise<void>} Resolves when the cards have been created.
+ */
+async function buildGallery(container, item) {
+  const entries = await SignatureRegistry.load();
+  let identity = null;
+  let details = {};
+  if (Office.context.mailbox) {
+    identity = await SenderIdentity.resolve(item);
+    details = getUserDetails(identity);
+  }
+  const mailboxTemplate = identity ? SenderIdentity.override(identity.emailAddress)?.template || null : null;
+
+  container.replaceChildren();
+  for (const entry of entries.values()) {
+    const card = document.createElement("div");
+    card.className = "choice-field";
+    const label = document.createElement("label");
+    const radio = document.createElement("input");
+    radio.type = "radio";
+    radio.name = "signatureOption";
+    radio.value = entry.key;
+    label.append(radio, entry.name);
+
+    // Templates come from the signature API: they are shown in a frame that cannot run scripts.
+    const frame = document.createElement("iframe");
+    frame.className = "preview";
+    frame.title = I18n.t("previewTitle", { signature: entry.name });
+    frame.setAttribute("sandbox", "allow-same-origin");
+    frame.setAttribute("referrerpolicy", "no-referrer");
+    const status = document.createElement("p");
+    status.className = "preview-status";
+    status.textContent = I18n.t("loadingPreview");
+
+    card.append(label, frame, status);
+    container.append(card);
+    renderPreview(entry, details, mailboxTemplate, frame, status);
+  }
+}
+
+/**
+ * Loads the template for a signature: the cached template while it is fresh, else the API template, else the
+ * offline copy used when the API is unavailable.
+ * @param {string} signatureKey - The signature key.
+ * @returns {Promise<{template: string, source: string, error: Error|null}>} The template, where it came from
+ *   ("cache", "api", "lastKnownGood" or "bundled") and the API error for offline copies.
+ * @throws {Error} If neither the API nor an offline copy can provide the template.
+ */
+function loadTemplate(signatureKey) {
+  const cachedEntry = SignatureCache.read(signatureKey);
+  if (SignatureCache.isFresh(cachedEntry)) {
+    return Promise.resolve({ template: cachedEntry.template, source: "cache", error: null });
+  }
+  return new Promise((resolve, reject) =>
+    fetchSignature(signatureKey, (template, error) => {
+      if (!error) {
+        resolve({ template, source: "api", error: null });
+        return;
+      }
+      const fallback = getFallbackTemplate(signatureKey);
+      if (fallback) {
+        resolve({ ...fallback, error });
+      } else {
+        reject(error);
+      }
+    })
+  );
+}
+
+/**
+ * Renders the preview of a signature and flags templates that failed to load or have unresolved placeholders.
+ * @param {{key: string, name: string}} entry - The catalog entry.
+ * @param {object} details - The user details to fill in (see getUserDetails).
+ * @param {string|null} mailboxTemplate - The template configured for the sending mailbox, which replaces the catalog
+ *   template.
+ * @param {HTMLIFrameElement} frame - The preview frame.
+ * @param {HTMLElement} status - The element for the preview's flags.
+ * @returns {Promise<void>} Resolves when the preview has been rendered or flagged.
+ */
+async function renderPreview(entry, details, mailboxTemplate, frame, status) {
+  const flags = [];
+  let template = mailboxTemplate;
+  try {
+    if (!template) {
+      const loaded = await loadTemplate(entry.key);
+      template = loaded.template;
+      if (loaded.error) flags.push(I18n.t("previewOffline"));
+    }
+  } catch (error) {
+    Logger.error({ event: "renderPreview", signatureKey: entry.key, error: error.message });
+    frame.hidden = true;
+    status.textContent = I18n.t("previewLoadFailed", { error: error.message });
+    status.classList.add("preview-error");
+    return;
+  }
+
+  const { html, unresolved } = TemplateRenderer.render(template, details);
+  if (unresolved.length) {
+    flags.push(I18n.t("previewUnresolved", { placeholders: unresolved.map((name) => `{${name}}`).join(", ") }));
+  }
+  Logger.info({ event: "renderPreview", signatureKey: entry.key, unresolved, flagged: flags.length > 0 });
+
+  frame.addEventListener("load", () => {
+    frame.style.height = `${frame.contentDocument.documentElement.scrollHeight}px`;
+  });
+  frame.srcdoc = `<!DOCTYPE html><html><head><base target="_blank"></head><body>${html}</body></html>`;
+  status.textContent = flags.join(" ");
+  status.classList.toggle("preview-warning", flags.length > 0);
+}
@@ -0,0 +1,58 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import DEFAULT_CONFIG from "../config/default.json";
+import { AppConfig } from "../src/commands/config";
+
+describe("AppConfig.load", () => {
+  it("uses the defaults without overrides", () => {
+    const values = AppConfig.load({});
+    assert.deepEqual(AppConfig.errors, []);
+    assert.equal(values.api.baseUrl, DEFAULT_CONFIG.api.baseUrl);
+    assert.equal(AppConfig.get("catalog.defaultSignatureKey"), "m3Signature");
+  });
+
+  it("merges objects key by key and replaces arrays", () => {
+    AppConfig.load({ api: { timeoutMs: 4000 }, tenantDomains: ["m3wind.com"] });
+    assert.deepEqual(AppConfig.errors, []);
+    assert.equal(AppConfig.get("api.timeoutMs"), 4000);
+    assert.equal(AppConfig.get("api.baseUrl"), DEFAULT_CONFIG.api.baseUrl);
+    assert.deepEqual(AppConfig.get("tenantDomains"), ["m3wind.com"]);
+  });
+
+  it("replaces invalid values by their defaults and reports them", () => {
+    AppConfig.load({ api: { baseUrl: "http://insecure.example", timeoutMs: 10 }, logging: { level: "verbose" } });
+    assert.deepEqual(
+      AppConfig.errors.map(({ path }) => path.join(".")),
+      ["api.baseUrl", "api.timeoutMs", "logging.level"]
+    );
+    assert.equal(AppConfig.get("api.baseUrl"), DEFAULT_CONFIG.api.baseUrl);
+    assert.equal(AppConfig.get("api.timeoutMs"), DEFAULT_CONFIG.api.timeoutMs);
+    assert.equal(AppConfig.get("logging.level"), DEFAULT_CONFIG.logging.level);
+  });
+
+  it("replaces a whole array when one of its items is invalid", () => {
+    AppConfig.load({ catalog: { fallback: [{ key: "m2Signature", name: "M2" }, { key: "m3Signature" }] } });
+    assert.deepEqual(
+      AppConfig.errors.map(({ path }) => path.join(".")),
+      ["catalog.fallback.1.name"]
+    );
+    assert.deepEqual(AppConfig.get("catalog.fallback"), DEFAULT_CONFIG.catalog.fallback);
+  });
+
+  it("drops unknown settings", () => {
+    AppConfig.load({ enforcement: { blockEverything: true } });
+    assert.deepEqual(AppConfig.errors, [
+      { path: ["enforcement", "blockEverything"], message: "is not a known setting" },
+    ]);
+    assert.equal(AppConfig.get("enforcement.blockEverything"), undefined);
+  });
+
+  it("validates message overrides", () => {
+    AppConfig.load({ messages: { de: { missingSignature: "" } } });
+    assert.deepEqual(
+      AppConfig.errors.map(({ path }) => path.join(".")),
+      ["messages.de.missingSignature"]
+    );
+    assert.equal(AppConfig.get("messages.de.missingSignature"), undefined);
+  });
+});
@@ -0,0 +1,81 @@
+import assert from "node:assert/strict";
+import { afterEach, beforeEach, describe, it } from "node:test";
+import { ComplianceAudit } from "../src/commands/audit";
+import { createMemoryBackend, SignatureStorage } from "../src/commands/storage";
+
+const ENDPOINT = "https://audit.m3wind.com/records";
+
+/**
+ * Builds audit records.
+ * @param {number} count - The number of records.
+ * @returns {Array<object>} The records, oldest first.
+ */
+function records(count) {
+  return Array.from({ length: count }, (value, index) => ({ id: `record-${index}`, outcome: "allowed" }));
+}
+
+describe("ComplianceAudit", () => {
+  let posted;
+  let failing;
+
+  beforeEach(async () => {
+    await SignatureStorage.init({ local: createMemoryBackend() });
+    posted = [];
+    failing = false;
+    global.fetch = async (url, { body }) => {
+      if (failing) return new Response("", { status: 503 });
+      posted.push(JSON.parse(body).records.map(({ id }) => id));
+      return new Response("", { status: 202 });
+    };
+  });
+
+  afterEach(() => {
+    clearTimeout(ComplianceAudit.retryTimer);
+    Object.assign(ComplianceAudit, { retryAttempt: 0, retryTimer: null, sending: null });
+  });
+
+  it("keeps records queued while no endpoint is configured", async () => {
+    const queued = await ComplianceAudit.record({ outcome: "blocked", reason: "modified" });
+    assert.ok(queued.id);
+    await ComplianceAudit.flush();
+    assert.deepEqual(ComplianceAudit.queued(), [queued]);
+    assert.deepEqual(posted, []);
+  });
+
+  it("drops the oldest records when the queue is full", async () => {
+    await ComplianceAudit.save(records(ComplianceAudit.maxQueued + 2));
+    const queue = ComplianceAudit.queued();
+    assert.equal(queue.length, ComplianceAudit.maxQueued);
+    assert.equal(queue[0].id, "record-2");
+  });
+
+  it("delivers the queue in batches and empties it", async () => {
+    await SignatureStorage.set("auditEndpoint", ENDPOINT);
+    await ComplianceAudit.save(records(ComplianceAudit.batchSize + 1));
+    await ComplianceAudit.flush();
+    assert.deepEqual(
+      posted.map((batch) => batch.length),
+      [ComplianceAudit.batchSize, 1]
+    );
+    assert.deepEqual(ComplianceAudit.queued(), []);
+  });
+
+  it("keeps undelivered records and retries with exponential backoff", async (t) => {
+    const delays = [];
+    t.mock.method(global, "setTimeout", (callback, delay) => delays.push(delay));
+    await SignatureStorage.set("auditEndpoint", ENDPOINT);
+    await ComplianceAudit.save(records(3));
+    failing = true;
+
+    for (let attempt = 0; attempt < 8; attempt++) await ComplianceAudit.flush();
+    assert.equal(ComplianceAudit.queued().length, 3);
+    const base = ComplianceAudit.retryBaseMs;
+    assert.deepEqual(delays.slice(0, 4), [base, base * 2, base * 4, base * 8]);
+    assert.equal(delays[delays.length - 1], ComplianceAudit.retryMaxMs);
+
+    failing = false;
+    await ComplianceAudit.flush();
+    assert.deepEqual(ComplianceAudit.queued(), []);
+    assert.equal(ComplianceAudit.retryAttempt, 0);
+  });
+});
@@ -0,0 +1,63 @@
+import assert from "node:assert/strict";
+import { before, beforeEach, describe, it } from "node:test";
+import { DraftSignatureState, SignatureCache } from "../src/commands/commands";
+import { createMemoryBackend, SignatureStorage } from "../src/commands/storage";
+import { createMockItem, createMockOffice } from "../src/simulator/mockOffice";
+
+const SIGNATURE = "<p>Ada Lovelace</p>";
+
+describe("DraftSignatureState", () => {
+  before(() => {
+    global.Office = createMockOffice();
+  });
+
+  beforeEach(() => SignatureStorage.init({ local: createMemoryBackend() }));
+
+  it("reads nothing from a draft without a signature", async () => {
+    assert.equal(await DraftSignatureState.read(createMockItem()), null);
+  });
+
+  it("keeps the applied signature in the draft's session data", async () => {
+    const item = createMockItem();
+    await DraftSignatureState.write(item, "m3Signature", SIGNATURE, "compact");
+    assert.deepEqual(await DraftSignatureState.read(item), {
+      signatureKey: "m3Signature",
+      signature: SIGNATURE,
+      variant: "compact",
+    });
+    assert.equal(await DraftSignatureState.read(createMockItem()), null, "Other drafts do not share it");
+  });
+
+  it("falls back to custom properties without session data", async () => {
+    const item = createMockItem({ sessionData: false });
+    await DraftSignatureState.write(item, "m3Signature", SIGNATURE);
+    assert.deepEqual(await DraftSignatureState.read(item), {
+      signatureKey: "m3Signature",
+      signature: SIGNATURE,
+      variant: "full",
+    });
+  });
+
+  it("reads a signature too large for custom properties back from the rendered cache", async () => {
+    const large = `<p>${"Ada Lovelace ".repeat(200)}</p>`;
+    await SignatureStorage.set(SignatureCache.renderedKey("m3Signature", "full"), large);
+    const item = createMockItem({ sessionData: false });
+    await DraftSignatureState.write(item, "m3Signature", large);
+    assert.equal((await DraftSignatureState.read(item)).signature, large);
+  });
+
+  it("logs a failed write instead of throwing", async () => {
+    const item = createMockItem();
+    item.simulator.failNext("sessionData.setAsync");
+    await DraftSignatureState.write(item, "m3Signature", SIGNATURE);
+    assert.equal(await DraftSignatureState.read(item), null);
+  });
+
+  it("keeps one correlation id per draft", async () => {
+    const item = createMockItem();
+    const correlationId = await DraftSignatureState.correlationId(item);
+    assert.ok(correlationId);
+    assert.equal(await DraftSignatureState.correlationId(item), correlationId);
+    assert.notEqual(await DraftSignatureState.correlationId(createMockItem()), correlationId);
+  });
+});
@@ -0,0 +1,47 @@
+import assert from "node:assert/strict";
+import { afterEach, describe, it } from "node:test";
+import { AppConfig } from "../src/commands/config";
+import { I18n } from "../src/commands/i18n";
+
+describe("I18n", () => {
+  afterEach(() => {
+    AppConfig.load({});
+    I18n.init("en-US");
+  });
+
+  it("selects the exact locale, its base language or English", () => {
+    assert.equal(I18n.init("fr"), "fr");
+    assert.equal(I18n.init("de-CH"), "de");
+    assert.equal(I18n.init("ja-JP"), "en");
+    assert.equal(I18n.init(undefined), "en");
+  });
+
+  it("formats messages in the selected locale with their placeholders", () => {
+    I18n.init("de-DE");
+    assert.equal(I18n.t("refreshed", { count: 3 }), I18n.catalogs.de.refreshed.replace("{count}", "3"));
+    assert.match(I18n.t("missingSignature"), /M3-Signatur/);
+  });
+
+  it("falls back to English for messages missing from the locale", () => {
+    AppConfig.load({ messages: { en: { holidayNotice: "Offices close at noon." } } });
+    I18n.init("fr-FR");
+    assert.equal(I18n.t("holidayNotice"), "Offices close at noon.");
+  });
+
+  it("lets the configuration override single messages", () => {
+    AppConfig.load({ messages: { fr: { refreshed: "{count} signatures à jour." } } });
+    I18n.init("fr-FR");
+    assert.equal(I18n.t("refreshed", { count: 2 }), "2 signatures à jour.");
+    assert.equal(I18n.t("missingSignature"), I18n.catalogs.fr.missingSignature.replace("{brand}", "M3"));
+  });
+
+  it("shows the id of an unknown message", () => {
+    assert.equal(I18n.t("noSuchMessage"), "noSuchMessage");
+  });
+
+  it("pseudo-localizes messages, keeping their placeholders", () => {
+    I18n.init("qps-ploc");
+    assert.equal(I18n.pseudo("Signature {name}"), "[Šígñátúré {name}]");
+    assert.match(I18n.t("refreshed", { count: 3 }), /^\[.*3.*\]$/);
+  });
+});
@@ -0,0 +1,36 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { Logger } from "../src/commands/logger";
+
+describe("Logger.redact", () => {
+  it("never keeps markup or subjects", () => {
+    const entry = Logger.redact({ event: "addSignature", signature: "<p>Ada Lovelace</p>", subject: "Offer" });
+    assert.deepEqual(entry, { event: "addSignature", signature: "[redacted 19 chars]", subject: "[redacted 5 chars]" });
+  });
+
+  it("masks e-mail addresses anywhere in an entry", () => {
+    const entry = Logger.redact({ event: "classify", recipients: ["ada.lovelace@contoso.com"] });
+    assert.deepEqual(entry.recipients, ["a***@contoso.com"]);
+  });
+
+  it("reduces signature changes to the changed field names", () => {
+    const changes = [{ field: "phone", removed: ["+44 20 0000 0000"], added: ["+44 20 1111 1111"] }];
+    assert.deepEqual(Logger.redact({ event: "displayError", changes }).changes, ["phone"]);
+    assert.deepEqual(Logger.redact({ event: "validate", resourceChanges: changes }).resourceChanges, ["phone"]);
+  });
+
+  it("reduces suspicious links to their reason and host", () => {
+    const findings = [
+      {
+        href: "https://m3wind-login.example/ada",
+        text: "Ada Lovelace",
+        scheme: "https:",
+        host: "m3wind-login.example",
+        reason: "untrustedHost",
+      },
+    ];
+    assert.deepEqual(Logger.redact({ event: "SignatureLinkPolicy.inspect", findings }).findings, [
+      { reason: "untrustedHost", host: "m3wind-login.example" },
+    ]);
+  });
+});
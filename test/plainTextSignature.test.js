@@ -0,0 +1,63 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { PlainTextSignature } from "../src/commands/commands";
+
+const SIGNATURE =
+  "<p>Ada Lovelace</p><table><tr><td>Phone</td><td>+44 20 0000 0000</td></tr></table>" +
+  '<p><a href="https://www.m3wind.com/">Website</a> <a href="mailto:ada@m3wind.com">ada@m3wind.com</a></p>' +
+  '<img src="https://www.m3wind.com/logo.png" alt="M3">';
+
+/**
+ * Builds a plain-text reply: the author's text and signature above quoted history.
+ * @param {string} history - The quoted history, starting with its header.
+ * @returns {string} The body.
+ */
+function reply(history) {
+  return `Thanks,\n\n-- \nAda Lovelace\n\n${history}\n\nBest\n-- \nClient Signature`;
+}
+
+describe("PlainTextSignature.fromHtml", () => {
+  it("writes one line per block and table row, with link targets and without images", () => {
+    assert.equal(
+      PlainTextSignature.fromHtml(SIGNATURE),
+      "Ada Lovelace\nPhone +44 20 0000 0000\nWebsite <https://www.m3wind.com/> ada@m3wind.com"
+    );
+  });
+});
+
+describe("PlainTextSignature.extract", () => {
+  it("finds the text after the last delimiter line", () => {
+    const body = "Hello,\n-- not a delimiter\n\n-- \nAda Lovelace\nM3 Wind";
+    assert.equal(PlainTextSignature.extract(body).signature, "Ada Lovelace\nM3 Wind");
+  });
+
+  it("finds nothing without a delimiter", () => {
+    assert.equal(PlainTextSignature.extract("Hello,\nAda"), null);
+  });
+
+  it("stops at quoted history", () => {
+    const headers = [
+      ["a separator line", "________________________________\nFrom: Client"],
+      ["an Outlook header", "-----Original Message-----\nFrom: Client"],
+      ["an English header", "From: Client <client@contoso.com>\nSent: Monday, 19 October 2026 09:00"],
+      ["a German header", "Von: Client <client@contoso.com>\nGesendet: Montag, 19. Oktober 2026 09:00"],
+      ["a German Outlook header", "-----Ursprüngliche Nachricht-----\nVon: Client"],
+      ["a French header", "De : Client <client@contoso.com>\nEnvoyé : lundi 19 octobre 2026 09:00"],
+      ["a French header with non-breaking spaces", "De\u00a0: Client <client@contoso.com>\nEnvoyé\u00a0: lundi"],
+    ];
+    for (const [description, history] of headers) {
+      assert.equal(PlainTextSignature.extract(reply(history))?.signature, "Ada Lovelace", description);
+    }
+  });
+
+  it("does not take a From line in the author's text for quoted history", () => {
+    const body = "From: the sales team\nWe will call you.\n-- \nAda Lovelace";
+    assert.equal(PlainTextSignature.extract(body).signature, "Ada Lovelace");
+  });
+});
+
+describe("PlainTextSignature.normalize", () => {
+  it("ignores whitespace and case", () => {
+    assert.equal(PlainTextSignature.normalize(" Ada\n  LOVELACE "), PlainTextSignature.normalize("ada lovelace"));
+  });
+});
@@ -0,0 +1,30 @@
+import assert from "node:assert/strict";
+import { before, describe, it } from "node:test";
+import { RecipientClassifier } from "../src/commands/commands";
+import { createMemoryBackend, SignatureStorage } from "../src/commands/storage";
+
+describe("RecipientClassifier.isInternal", () => {
+  const tenantDomains = ["m3wind.com"];
+
+  before(() => SignatureStorage.init({ local: createMemoryBackend() }));
+
+  it("treats tenant domains and their subdomains as internal, ignoring case", () => {
+    assert.equal(RecipientClassifier.isInternal("ada@m3wind.com", tenantDomains), true);
+    assert.equal(RecipientClassifier.isInternal("Ada@UK.M3Wind.com", tenantDomains), true);
+  });
+
+  it("treats other domains as external", () => {
+    assert.equal(RecipientClassifier.isInternal("client@contoso.com", tenantDomains), false);
+    assert.equal(RecipientClassifier.isInternal("spoof@notm3wind.com", tenantDomains), false);
+    assert.equal(RecipientClassifier.isInternal("spoof@m3wind.com.evil.example", tenantDomains), false);
+  });
+
+  it("treats addresses without a domain as external", () => {
+    assert.equal(RecipientClassifier.isInternal("Ada Lovelace", tenantDomains), false);
+  });
+
+  it("falls back to the domain of the signed-in mailbox", () => {
+    assert.deepEqual(RecipientClassifier.tenantDomains(), ["m3wind.com"]);
+    assert.equal(RecipientClassifier.isInternal("colleague@m3wind.com"), true);
+  });
+});
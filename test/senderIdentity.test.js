@@ -0,0 +1,60 @@
+import assert from "node:assert/strict";
+import { before, beforeEach, describe, it } from "node:test";
+import { SenderIdentity } from "../src/commands/commands";
+import { createMemoryBackend, SignatureStorage } from "../src/commands/storage";
+import { createMockItem, createMockOffice } from "../src/simulator/mockOffice";
+
+const SHARED_MAILBOX = { emailAddress: "Sales@M3wind.com", displayName: "M3 Sales" };
+
+describe("SenderIdentity.resolve", () => {
+  before(() => {
+    global.Office = createMockOffice({ userProfile: { displayName: "Ada Lovelace", emailAddress: "ada@m3wind.com" } });
+  });
+
+  it("uses the signed-in user when sending from their own mailbox", async () => {
+    assert.deepEqual(await SenderIdentity.resolve(createMockItem()), {
+      emailAddress: "ada@m3wind.com",
+      displayName: "Ada Lovelace",
+      isOwnMailbox: true,
+    });
+  });
+
+  it("uses the From account of a shared mailbox or delegate", async () => {
+    assert.deepEqual(await SenderIdentity.resolve(createMockItem({ from: SHARED_MAILBOX })), {
+      emailAddress: "sales@m3wind.com",
+      displayName: "M3 Sales",
+      isOwnMailbox: false,
+    });
+  });
+
+  it("uses the organizer of an appointment", async () => {
+    const item = createMockItem({ itemType: "appointment", from: SHARED_MAILBOX });
+    assert.equal((await SenderIdentity.resolve(item)).emailAddress, "sales@m3wind.com");
+  });
+
+  it("falls back to the signed-in user when the From account cannot be read", async () => {
+    const item = createMockItem({ from: SHARED_MAILBOX });
+    item.simulator.failNext("from.getAsync");
+    assert.equal((await SenderIdentity.resolve(item)).emailAddress, "ada@m3wind.com");
+  });
+});
+
+describe("SenderIdentity.override", () => {
+  beforeEach(() => SignatureStorage.init({ local: createMemoryBackend() }));
+
+  it("finds the override of a mailbox, ignoring case", async () => {
+    await SignatureStorage.set(
+      "mailboxSignatures",
+      JSON.stringify({ "sales@m3wind.com": { signatureKey: "m2Signature" } })
+    );
+    assert.deepEqual(SenderIdentity.override("Sales@M3wind.com"), { signatureKey: "m2Signature" });
+    assert.equal(SenderIdentity.override("ada@m3wind.com"), null);
+  });
+
+  it("ignores overrides that are not objects or not JSON", async () => {
+    await SignatureStorage.set("mailboxSignatures", JSON.stringify({ "sales@m3wind.com": "m2Signature" }));
+    assert.equal(SenderIdentity.override("sales@m3wind.com"), null);
+    await SignatureStorage.set("mailboxSignatures", "{");
+    assert.equal(SenderIdentity.override("sales@m3wind.com"), null);
+  });
+});
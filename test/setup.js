@@ -0,0 +1,29 @@
+/**
+ * Loaded with `node --require` before the tests. Compiles the ES module sources for the running Node version and
+ * provides the globals the commands runtime expects from the browser and Office.js: a DOM and localStorage from
+ * jsdom and a mailbox signed in as user@m3wind.com. As in a browser, `window` is the global object, so the simulator
+ * can replace `window.Office` and `window.fetch`. Logging is turned off so test output only shows results.
+ */
+
+// The browser targets only matter for the webpack build.
+process.env.BROWSERSLIST_IGNORE_OLD_DATA = "1";
+
+require("@babel/register")({
+  babelrc: false,
+  configFile: false,
+  presets: [["@babel/preset-env", { targets: { node: "current" } }]],
+});
+
+const { JSDOM } = require("jsdom");
+
+const { window } = new JSDOM("<!DOCTYPE html><html><body></body></html>", { url: "https://localhost:3000/" });
+global.window = global;
+["document", "DOMParser", "Node", "NodeFilter", "localStorage"].forEach((name) => (global[name] = window[name]));
+
+global.Office = {
+  AsyncResultStatus: { Succeeded: "succeeded", Failed: "failed" },
+  MailboxEnums: { ItemType: { Message: "message", Appointment: "appointment" } },
+  context: { mailbox: { userProfile: { emailAddress: "user@m3wind.com" } } },
+};
+
+require("../src/commands/logger").Logger.init({ level: "off" });
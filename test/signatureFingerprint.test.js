@@ -0,0 +1,36 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { SignatureFingerprint } from "../src/commands/commands";
+
+const SIGNATURE =
+  '<p>Ada Lovelace</p><p><a href="https://www.m3wind.com/">m3wind.com</a></p>' +
+  '<img src="https://www.m3wind.com/logo.png?v=2" alt="M3">';
+
+describe("SignatureFingerprint", () => {
+  it("is a stable SHA-256 hex digest", async () => {
+    const fingerprint = await SignatureFingerprint.compute(SIGNATURE, "m3Signature");
+    assert.match(fingerprint, /^[0-9a-f]{64}$/);
+    assert.equal(await SignatureFingerprint.compute(SIGNATURE, "m3Signature"), fingerprint);
+  });
+
+  it("ignores whitespace and image query strings", async () => {
+    const reformatted = SIGNATURE.replace("Ada Lovelace", "Ada \n  Lovelace").replace("?v=2", "?v=3");
+    assert.equal(
+      await SignatureFingerprint.compute(reformatted, "m3Signature"),
+      await SignatureFingerprint.compute(SIGNATURE, "m3Signature")
+    );
+  });
+
+  it("changes with the text, the links, the images and the key", async () => {
+    const fingerprint = await SignatureFingerprint.compute(SIGNATURE, "m3Signature");
+    const variants = [
+      [SIGNATURE.replace("Ada", "Eve"), "m3Signature"],
+      [SIGNATURE.replace('href="https://www.m3wind.com/"', 'href="https://m3wind-login.example/"'), "m3Signature"],
+      [SIGNATURE.replace("logo.png", "tracker.gif"), "m3Signature"],
+      [SIGNATURE, "m2Signature"],
+    ];
+    for (const [signature, signatureKey] of variants) {
+      assert.notEqual(await SignatureFingerprint.compute(signature, signatureKey), fingerprint);
+    }
+  });
+});
@@ -0,0 +1,66 @@
+import assert from "node:assert/strict";
+import { before, describe, it } from "node:test";
+import { SignatureLinkPolicy } from "../src/commands/commands";
+import { createMemoryBackend, SignatureStorage } from "../src/commands/storage";
+
+const EXPECTED =
+  '<p>Ada Lovelace</p><p><a href="https://www.m3wind.com/">www.m3wind.com</a></p>' +
+  '<img src="https://cdn.m3wind.com/logo.png" alt="M3">';
+
+/**
+ * Lists the reasons of the findings for a changed signature.
+ * @param {string} actual - The signature found in the email.
+ * @returns {string[]} The reasons.
+ */
+function reasons(actual) {
+  return SignatureLinkPolicy.inspect(EXPECTED, actual).map(({ reason }) => reason);
+}
+
+describe("SignatureLinkPolicy", () => {
+  before(() => SignatureStorage.init({ local: createMemoryBackend() }));
+
+  it("reports nothing for an unchanged signature", () => {
+    assert.deepEqual(SignatureLinkPolicy.check(EXPECTED, EXPECTED), { changes: [], findings: [] });
+  });
+
+  it("reports a link to a host that is not trusted", () => {
+    const actual = EXPECTED.replace('href="https://www.m3wind.com/"', 'href="https://m3wind-login.example/"');
+    assert.deepEqual(reasons(actual), ["untrustedHost"]);
+  });
+
+  it("trusts subdomains of the template, configured and tenant hosts", () => {
+    const actual = EXPECTED.replace('href="https://www.m3wind.com/"', 'href="https://careers.m3wind.com/"');
+    assert.deepEqual(reasons(actual), []);
+  });
+
+  it("reports a link whose text shows another web address", () => {
+    const actual = EXPECTED.replace(">www.m3wind.com<", ">www.contoso.com<");
+    assert.deepEqual(reasons(actual), ["mismatchedText"]);
+  });
+
+  it("reports a link with a scheme that runs content", () => {
+    const actual = EXPECTED.replace('href="https://www.m3wind.com/"', 'href="javascript:alert(1)"');
+    assert.deepEqual(reasons(actual), ["unsafeScheme"]);
+  });
+
+  it("reports an image loaded from a host that is not trusted", () => {
+    const actual = EXPECTED.replace("</p>", '<img src="https://tracker.example/open.gif?id=42"></p>');
+    const { changes, findings } = SignatureLinkPolicy.check(EXPECTED, actual);
+    assert.deepEqual(
+      changes.map(({ field }) => field),
+      ["images"]
+    );
+    assert.deepEqual(
+      findings.map(({ host, reason }) => [host, reason]),
+      [["tracker.example", "untrustedImageHost"]]
+    );
+  });
+
+  it("describes findings for display", () => {
+    const [finding] = SignatureLinkPolicy.inspect(
+      EXPECTED,
+      EXPECTED.replace('href="https://www.m3wind.com/"', 'href="https://m3wind-login.example/"')
+    );
+    assert.match(SignatureLinkPolicy.describeFinding(finding), /m3wind-login\.example/);
+  });
+});
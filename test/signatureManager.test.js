@@ -0,0 +1,28 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { SignatureManager } from "../src/commands/commands";
+import { createMockItem } from "../src/simulator/mockOffice";
+
+describe("SignatureManager.resolveThreadId", () => {
+  it("tracks messages by conversation", async () => {
+    const item = createMockItem({ conversationId: "AAQkConversation" });
+    assert.equal(await SignatureManager.resolveThreadId(item), "AAQkConversation");
+  });
+
+  it("tracks meeting occurrences by their series", async () => {
+    const item = createMockItem({ itemType: "appointment", seriesId: "AAMkSeriesMaster" });
+    assert.equal(await SignatureManager.resolveThreadId(item), "series:AAMkSeriesMaster");
+  });
+
+  it("does not track an unsaved series master under an empty series id", async () => {
+    const item = createMockItem({ itemType: "appointment", seriesId: " " });
+    assert.equal(SignatureManager.threadIdOf(item), null);
+    assert.equal(await SignatureManager.resolveThreadId(item), null);
+  });
+
+  it("tracks a saved series master under its item id", async () => {
+    const item = createMockItem({ itemType: "appointment" });
+    item.simulator.save("AAMkSeriesMaster");
+    assert.equal(await SignatureManager.resolveThreadId(item), "series:AAMkSeriesMaster");
+  });
+});
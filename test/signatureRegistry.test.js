@@ -0,0 +1,22 @@
+import assert from "node:assert/strict";
+import { afterEach, describe, it } from "node:test";
+import { SignatureRegistry } from "../src/commands/commands";
+
+describe("SignatureRegistry.nameOf", () => {
+  afterEach(() => {
+    SignatureRegistry.entries = null;
+  });
+
+  it("names a signature by its catalog entry", () => {
+    SignatureRegistry.entries = new Map([["m2Signature", { key: "m2Signature", name: "M2 Wind" }]]);
+    assert.equal(SignatureRegistry.nameOf("m2Signature"), "M2 Wind");
+  });
+
+  it("falls back to the name in the fallback catalog before the catalog is loaded", () => {
+    assert.equal(SignatureRegistry.nameOf("m2Signature"), "M2");
+  });
+
+  it("falls back to the key for unknown signatures", () => {
+    assert.equal(SignatureRegistry.nameOf("retiredSignature"), "retiredSignature");
+  });
+});
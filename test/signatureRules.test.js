@@ -0,0 +1,81 @@
+import assert from "node:assert/strict";
+import { beforeEach, describe, it } from "node:test";
+import { SignatureRules } from "../src/commands/commands";
+import { AppConfig } from "../src/commands/config";
+import { createMemoryBackend, SignatureStorage } from "../src/commands/storage";
+
+const CONTEXT = {
+  recipients: ["buyer@eu.client.com", "colleague@m3wind.com"],
+  senderAddress: "sales@m3wind.com",
+  subject: "Quarterly Figures",
+  audience: "external",
+};
+
+describe("SignatureRules.matches", () => {
+  it("matches a rule without conditions", () => {
+    assert.equal(SignatureRules.matches({ signatureKey: "m3Signature" }, CONTEXT), true);
+  });
+
+  it("matches recipient domains and their subdomains, ignoring case", () => {
+    assert.equal(SignatureRules.matches({ recipientDomains: ["Client.com"] }, CONTEXT), true);
+    assert.equal(SignatureRules.matches({ recipientDomains: ["other.com"] }, CONTEXT), false);
+    assert.equal(SignatureRules.matches({ recipientDomains: ["lient.com"] }, CONTEXT), false);
+  });
+
+  it("matches the audience", () => {
+    assert.equal(SignatureRules.matches({ audience: "external" }, CONTEXT), true);
+    assert.equal(SignatureRules.matches({ audience: "internal" }, CONTEXT), false);
+  });
+
+  it("matches sender addresses", () => {
+    assert.equal(SignatureRules.matches({ senderAddresses: ["Sales@M3wind.com"] }, CONTEXT), true);
+    assert.equal(SignatureRules.matches({ senderAddresses: ["ada@m3wind.com"] }, CONTEXT), false);
+  });
+
+  it("matches any subject keyword, ignoring case", () => {
+    assert.equal(SignatureRules.matches({ subjectKeywords: ["invoice", "FIGURES"] }, CONTEXT), true);
+    assert.equal(SignatureRules.matches({ subjectKeywords: ["invoice"] }, CONTEXT), false);
+  });
+
+  it("requires every condition to match", () => {
+    const rule = { recipientDomains: ["client.com"], audience: "external", subjectKeywords: ["invoice"] };
+    assert.equal(SignatureRules.matches(rule, CONTEXT), false);
+  });
+});
+
+describe("SignatureRules.load", () => {
+  const CONFIGURED = [{ id: "clients", signatureKey: "morvenSignature", recipientDomains: ["client.com"] }];
+
+  beforeEach(async () => {
+    AppConfig.load({ signatureRules: CONFIGURED });
+    await SignatureStorage.init({ local: createMemoryBackend() });
+  });
+
+  it("reads the rules from the configuration", () => {
+    assert.deepEqual(SignatureRules.load(), CONFIGURED);
+  });
+
+  it("lets the user setting replace the configured rules", async () => {
+    await SignatureStorage.set("signatureRules", JSON.stringify([{ id: "mine", signatureKey: "m2Signature" }]));
+    assert.deepEqual(
+      SignatureRules.load().map(({ id }) => id),
+      ["mine"]
+    );
+    await SignatureStorage.set("signatureRules", "[]");
+    assert.deepEqual(SignatureRules.load(), []);
+  });
+
+  it("skips invalid rules", async () => {
+    const rules = [{ id: "no-key" }, { id: "bad-audience", signatureKey: "m2Signature", audience: "everyone" }];
+    await SignatureStorage.set("signatureRules", JSON.stringify([...rules, { id: "ok", signatureKey: "m3Signature" }]));
+    assert.deepEqual(
+      SignatureRules.load().map(({ id }) => id),
+      ["ok"]
+    );
+  });
+
+  it("falls back to no rules when the configured ones are invalid", () => {
+    AppConfig.load({ signatureRules: [{ id: "no-key" }] });
+    assert.deepEqual(SignatureRules.load(), []);
+  });
+});
@@ -0,0 +1,25 @@
+import assert from "node:assert/strict";
+import { before, describe, it } from "node:test";
+import { Logger } from "../src/commands/logger";
+import { Simulator } from "../src/simulator/runner";
+import { SCENARIOS } from "../src/simulator/scenarios";
+
+describe("Simulator scenarios", () => {
+  before(async () => {
+    await Simulator.start();
+    // register.js turns logging back on with the configured level.
+    Logger.init({ level: "off" });
+  });
+
+  for (const scenario of SCENARIOS) {
+    it(scenario.title, async () => {
+      const { error, checks } = await Simulator.run(scenario);
+      assert.equal(error, null);
+      assert.ok(checks.length, "The scenario records checks");
+      assert.deepEqual(
+        checks.filter(({ passed }) => !passed).map(({ description }) => description),
+        []
+      );
+    });
+  }
+});
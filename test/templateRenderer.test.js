@@ -0,0 +1,48 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { TemplateRenderer } from "../src/commands/commands";
+
+const DETAILS = { firstName: "Ada", lastName: "Lovelace", email: "ada@m3wind.com", title: "Engineer", phone: "" };
+
+describe("TemplateRenderer.render", () => {
+  it("fills placeholders whatever their case and spacing", () => {
+    const { html, unresolved } = TemplateRenderer.render("<p>{First name} {LASTNAME} - {E-mail}</p>", DETAILS);
+    assert.equal(html, "<p>Ada Lovelace - ada@m3wind.com</p>");
+    assert.deepEqual(unresolved, []);
+  });
+
+  it("escapes values", () => {
+    const { html } = TemplateRenderer.render("<p>{Title}</p>", { title: 'R&D <"Lead">' });
+    assert.equal(html, "<p>R&amp;D &lt;&quot;Lead&quot;&gt;</p>");
+  });
+
+  it("reports unknown placeholders and leaves them in place", () => {
+    const { html, unresolved } = TemplateRenderer.render("<p>{Nickname}</p>", DETAILS);
+    assert.equal(html, "<p>{Nickname}</p>");
+    assert.deepEqual(unresolved, ["Nickname"]);
+  });
+
+  it("reports placeholders that render empty outside a conditional block", () => {
+    const { empty } = TemplateRenderer.render("<p>{Phone}</p>", DETAILS);
+    assert.deepEqual(empty, ["Phone"]);
+  });
+
+  it("keeps or drops conditional blocks by whether their field has a value", () => {
+    const template = "{#Phone}<p>T {Phone}</p>{/Phone}{^Phone}<p>No phone</p>{/Phone}{#Title}<p>{Title}</p>{/Title}";
+    const { html, empty } = TemplateRenderer.render(template, DETAILS);
+    assert.equal(html, "<p>No phone</p><p>Engineer</p>");
+    assert.deepEqual(empty, []);
+  });
+
+  it("selects the variant section", () => {
+    const template = "<p>{First name}</p>{#Full}<img src='logo.png'>{/Full}{#Compact}<p>compact</p>{/Compact}";
+    assert.equal(TemplateRenderer.render(template, DETAILS, "full").html, "<p>Ada</p><img src='logo.png'>");
+    assert.equal(TemplateRenderer.render(template, DETAILS, "compact").html, "<p>Ada</p><p>compact</p>");
+  });
+
+  it("derives the compact variant of templates without variant sections", () => {
+    const disclaimer = "This e-mail and any attachments are confidential and intended solely for the addressee.";
+    const template = `<p>{First name}</p><img src="https://www.m3wind.com/logo.png"><p>${disclaimer}</p>`;
+    assert.equal(TemplateRenderer.render(template, DETAILS, "compact").html, "<p>Ada</p>");
+  });
+});
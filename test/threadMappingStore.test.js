@@ -0,0 +1,97 @@
+import assert from "node:assert/strict";
+import { beforeEach, describe, it } from "node:test";
+import { ThreadMappingStore } from "../src/commands/commands";
+import { byteLength, createMemoryBackend, SignatureStorage } from "../src/commands/storage";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Builds a thread mapping entry.
+ * @param {number} index - Distinguishes the entry; higher indexes are older.
+ * @param {number} ageMs - How long ago the entry was recorded.
+ * @returns {object} The entry.
+ */
+function entry(index, ageMs = index * 1000) {
+  return {
+    conversationId: `conversation-${index}`,
+    recipients: [`client${index}@contoso.com`],
+    subject: `quarterly figures ${index}`,
+    signature: "m3Signature",
+    timestamp: new Date(Date.now() - ageMs).toISOString(),
+  };
+}
+
+/**
+ * Creates a memory backend that rejects values over a size, like a full roaming settings store.
+ * @param {number} maxBytes - The largest value accepted.
+ * @returns {object} The backend.
+ */
+function createLimitedBackend(maxBytes) {
+  const backend = createMemoryBackend();
+  const set = backend.set;
+  backend.set = (key, value) => {
+    if (byteLength(value) <= maxBytes) return set(key, value);
+    const error = new Error("Roaming settings are full");
+    error.name = "QuotaExceededError";
+    return Promise.reject(error);
+  };
+  return backend;
+}
+
+describe("ThreadMappingStore", () => {
+  beforeEach(async () => {
+    await SignatureStorage.init({ local: createMemoryBackend() });
+    ThreadMappingStore.raw = undefined;
+    ThreadMappingStore.foldedLegacyKeys = new Set();
+    ThreadMappingStore.index([]);
+  });
+
+  it("prunes entries past the maximum age", () => {
+    const kept = ThreadMappingStore.prune([entry(1, DAY_MS), entry(2, ThreadMappingStore.maxAgeMs + DAY_MS)]);
+    assert.deepEqual(
+      kept.map(({ conversationId }) => conversationId),
+      ["conversation-1"]
+    );
+  });
+
+  it("keeps the newest entries up to the limit, newest first", () => {
+    const entries = [entry(3), entry(1), entry(4), entry(2)];
+    assert.deepEqual(
+      ThreadMappingStore.prune(entries, 2).map(({ conversationId }) => conversationId),
+      ["conversation-1", "conversation-2"]
+    );
+  });
+
+  it("drops the oldest entries until the mappings fit in maxBytes", () => {
+    const entries = Array.from({ length: ThreadMappingStore.maxEntries }, (_, index) => ({
+      ...entry(index),
+      subject: "x".repeat(400),
+    }));
+    const kept = ThreadMappingStore.prune(entries);
+    assert.ok(kept.length < entries.length);
+    assert.ok(byteLength(JSON.stringify(kept)) <= ThreadMappingStore.maxBytes);
+    assert.deepEqual(kept, entries.slice(0, kept.length));
+  });
+
+  it("halves the entries until they fit when the storage quota is exceeded", async () => {
+    const entries = Array.from({ length: 40 }, (_, index) => entry(index));
+    const maxBytes = byteLength(JSON.stringify(entries.slice(0, 12)));
+    await SignatureStorage.init({ local: createLimitedBackend(maxBytes) });
+
+    assert.equal(await ThreadMappingStore.persist(entries), true);
+    assert.equal(ThreadMappingStore.entries.length, 10);
+    assert.equal(SignatureStorage.get(ThreadMappingStore.storageKey), JSON.stringify(entries.slice(0, 10)));
+  });
+
+  it("keeps the current entries when a write fails for another reason", async () => {
+    await ThreadMappingStore.record({ conversationId: "kept", recipients: [], subject: "", signature: "m2Signature" });
+    SignatureStorage.local.set = () => Promise.reject(new Error("The mailbox is offline"));
+
+    await ThreadMappingStore.record({ conversationId: "lost", recipients: [], subject: "", signature: "m3Signature" });
+    assert.deepEqual(
+      ThreadMappingStore.load().map(({ conversationId }) => conversationId),
+      ["kept"]
+    );
+    assert.equal(ThreadMappingStore.find({ conversationId: "lost", recipients: [] }), null);
+  });
+});
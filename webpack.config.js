@@ -1,3 +1,4 @@
+const fs = require("fs");
 const path = require("path");
 const webpack = require("webpack");
 const { CleanWebpackPlugin } = require("clean-webpack-plugin");
@@ -28,6 +29,16 @@ module.exports = async (env, options) => {
     ? envVars.ASSET_BASE_URL || "https://mirzailhami.github.io/outlook-signature-add-ins"
     : envVars.ASSET_BASE_URL || "https://localhost:3000";
 
+  // Add-in configuration for the environment (config/<name>.json), merged over config/default.json at startup.
+  // Selected with `--env config=<name>` or ADDIN_CONFIG in the .env file.
+  const configName = env.config || envVars.ADDIN_CONFIG || null;
+  let addinConfig = {};
+  if (configName) {
+    const configPath = path.resolve(__dirname, "config", `${configName}.json`);
+    if (!fs.existsSync(configPath)) throw new Error(`Add-in configuration not found: ${configPath}`);
+    addinConfig = JSON.parse(fs.readFileSync(configPath, "utf8"));
+  }
+
   // Get HTTPS options for dev server
   const httpsOptions = await getHttpsOptions();
 
@@ -37,7 +48,10 @@ module.exports = async (env, options) => {
 
     entry: {
       polyfill: ["core-js/stable", "regenerator-runtime/runtime"],
-      commands: "./src/commands/commands.js",
+      commands: "./src/commands/register.js",
+      taskpane: "./src/taskpane/taskpane.js",
+      // Office.js simulator (simulator.html), for exercising the handlers without Outlook; not deployed.
+      ...(isProduction ? {} : { simulator: "./src/simulator/simulator.js" }),
     },
 
     output: {
@@ -85,12 +99,13 @@ module.exports = async (env, options) => {
       new CleanWebpackPlugin(),
       new webpack.DefinePlugin({
         "process.env.ASSET_BASE_URL": JSON.stringify(assetBaseUrl),
+        "process.env.ADDIN_CONFIG": JSON.stringify(addinConfig),
       }),
       // Taskpane HTML
       new HtmlWebpackPlugin({
         template: "./src/taskpane/taskpane.html",
         filename: "taskpane.html",
-        chunks: ["polyfill", "commands"],
+        chunks: ["polyfill", "taskpane"],
         publicPath: assetBaseUrl,
         minify: isProduction
           ? {
@@ -113,6 +128,17 @@ module.exports = async (env, options) => {
             }
           : false,
       }),
+      ...(isProduction
+        ? []
+        : [
+            new HtmlWebpackPlugin({
+              template: "./src/simulator/simulator.html",
+              filename: "simulator.html",
+              chunks: ["polyfill", "simulator"],
+              publicPath: assetBaseUrl,
+              minify: false,
+            }),
+          ]),
       new CopyWebpackPlugin({
         patterns: [
           {